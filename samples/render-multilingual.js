@@ -0,0 +1,28 @@
+// Render the multilingual sample corpus to a PDF, to check font fallback
+// and right-to-left layout by eye after changing the PDF renderer:
+//
+//   npm run sample:pdf [-- output.pdf]
+//
+// Each message's `case` says what it exercises.
+
+const fs = require("fs");
+const path = require("path");
+const { generatePDF } = require("../src/services/pdf");
+const { contact, messages } = require("./multilingual-messages.json");
+
+async function main() {
+  const outputPath = path.resolve(process.argv[2] || path.join(__dirname, "..", "data", "multilingual-sample.pdf"));
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+
+  const { pageCount } = await generatePDF(contact, messages, outputPath, {
+    timezone: "UTC",
+    tableOfContents: true,
+    conversationSections: true,
+  });
+  console.log(`Wrote ${outputPath} (${pageCount} pages, ${messages.length} messages)`);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -5,9 +5,46 @@ module.exports = {
     clientId: process.env.GHL_APP_CLIENT_ID,
     clientSecret: process.env.GHL_APP_CLIENT_SECRET,
     ssoKey: process.env.GHL_APP_SSO_KEY,
+    // PEM public key GHL signs install/uninstall webhooks with ("\n" escapes allowed)
+    webhookPublicKey: (process.env.GHL_WEBHOOK_PUBLIC_KEY || "").replace(/\\n/g, "\n"),
     apiDomain: process.env.GHL_API_DOMAIN || "https://services.leadconnectorhq.com",
     scopes: process.env.GHL_APP_SCOPES || "",
+    maxConcurrentRequests: parseInt(process.env.GHL_MAX_CONCURRENT_REQUESTS, 10) || 4,
+    maxRetries: parseInt(process.env.GHL_MAX_RETRIES, 10) || 4,
+    fetchConcurrency: parseInt(process.env.GHL_FETCH_CONCURRENCY, 10) || 4,
   },
+  tokens: {
+    // "<keyId>:<base64 32-byte key>" entries; the first encrypts, all decrypt
+    encryptionKeys: process.env.TOKEN_ENCRYPTION_KEYS || "",
+  },
+  session: {
+    secret: process.env.SESSION_SECRET,
+    ttlMs: (parseFloat(process.env.SESSION_TTL_HOURS) || 8) * 60 * 60 * 1000,
+  },
+  exports: {
+    // Where export files are written (default: data/exports); must be shared
+    // storage, mounted at the same path, when running more than one instance
+    dir: process.env.EXPORTS_DIR || null,
+    bulkMaxContacts: parseInt(process.env.BULK_EXPORT_MAX_CONTACTS, 10) || 200,
+    attachmentMaxBytes: (parseFloat(process.env.ATTACHMENT_MAX_MB) || 25) * 1024 * 1024,
+    recordingMaxBytes: (parseFloat(process.env.RECORDING_MAX_MB) || 200) * 1024 * 1024,
+  },
+  schedules: {
+    // Root folder for scheduled export deliveries (default: data/scheduled)
+    outputDir: process.env.SCHEDULE_OUTPUT_DIR || null,
+    maxPerLocation: parseInt(process.env.SCHEDULES_MAX_PER_LOCATION, 10) || 20,
+  },
+  webhooks: {
+    // Attempts per webhook delivery before it is marked failed
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6,
+  },
+  cache: {
+    enabled: process.env.MESSAGE_CACHE !== "off",
+    // Re-download a contact's whole history this often, to pick up edits and deletions
+    fullSyncMs: (parseFloat(process.env.MESSAGE_CACHE_FULL_SYNC_DAYS) || 30) * 24 * 60 * 60 * 1000,
+  },
+  // Reverse proxies in front of the app, so client IPs come from X-Forwarded-For
+  trustProxyHops: parseInt(process.env.TRUST_PROXY_HOPS, 10) || 0,
   port: process.env.PORT || 3000,
   appUrl: process.env.APP_URL || "http://localhost:3000",
 };
@@ -1,53 +1,95 @@
 const express = require("express");
-const crypto = require("crypto");
 const path = require("path");
 const fs = require("fs");
 const config = require("./config");
 const ghl = require("./services/ghl");
-const store = require("./services/store");
 const conversations = require("./services/conversations");
-const pdf = require("./services/pdf");
+const contacts = require("./services/contacts");
+const exporter = require("./services/exporter");
+const renderers = require("./services/renderers");
+const session = require("./services/session");
+const jobs = require("./services/jobs");
+const store = require("./services/store");
+const settings = require("./services/settings");
+const redaction = require("./services/redaction");
+const timezone = require("./services/timezone");
+const scheduler = require("./services/scheduler");
+const webhooks = require("./services/webhooks");
+const audit = require("./services/audit");
+const installs = require("./services/installs");
+const filters = require("./services/filters");
 
 const app = express();
 
-app.use(express.json());
+app.set("trust proxy", config.trustProxyHops);
+// Keep the raw body too: GHL webhook signatures are over the exact bytes sent.
+// The limit leaves room for a branding logo in the settings.
+app.use(express.json({ limit: "1mb", verify: (req, _res, buf) => { req.rawBody = buf; } }));
+
+// --- Job access ---
+
+/**
+ * Look up a job, but only if it belongs to the requesting session.
+ * Jobs owned by someone else are reported as missing so IDs can't be probed.
+ */
+async function getOwnedJob(jobId, sess) {
+  const job = await jobs.getJob(jobId);
+  if (!job) return null;
+  if (job.locationId !== sess.locationId || job.ownerUserId !== sess.userId) return null;
+  return job;
+}
 
-// --- Job store (in-memory, auto-expires after 1 hour) ---
+/**
+ * Look up a schedule, but only if it belongs to the session's location.
+ */
+async function getLocationSchedule(scheduleId, sess) {
+  const schedule = await store.getSchedule(scheduleId);
+  if (!schedule || schedule.locationId !== sess.locationId) return null;
+  return schedule;
+}
 
-const jobs = new Map();
-const JOB_TTL_MS = 60 * 60 * 1000; // 1 hour
+// --- Session middleware ---
+
+/**
+ * Require a valid session token (issued by POST /sso) on the request.
+ * The session's locationId is authoritative; a locationId sent by the
+ * client is only accepted if it matches.
+ */
+function requireSession(req, res, next) {
+  const header = req.get("Authorization") || "";
+  const token = header.startsWith("Bearer ") ? header.slice(7) : null;
+  const sess = token ? session.verifySession(token) : null;
+  if (!sess) return res.status(401).json({ error: "Session expired or invalid" });
+
+  const requested = req.query.locationId || req.body?.locationId;
+  if (requested && requested !== sess.locationId) {
+    return res.status(403).json({ error: "Location does not match session" });
+  }
 
-function createJob(contactId, locationId) {
-  const id = crypto.randomUUID();
-  const job = {
-    id,
-    contactId,
-    locationId,
-    status: "processing",
-    progress: { phase: "starting", detail: "" },
-    createdAt: Date.now(),
-    filePath: null,
-    error: null,
-  };
-  jobs.set(id, job);
-  return job;
+  req.session = sess;
+  next();
 }
 
-function cleanupJobs() {
-  const now = Date.now();
-  for (const [id, job] of jobs) {
-    if (now - job.createdAt > JOB_TTL_MS) {
-      // Delete PDF file if it exists
-      if (job.filePath && fs.existsSync(job.filePath)) {
-        fs.unlinkSync(job.filePath);
-      }
-      jobs.delete(id);
-    }
+/**
+ * Restrict a route to location admins (role from the SSO payload).
+ */
+function requireAdmin(req, res, next) {
+  if (req.session.role !== "admin") {
+    return res.status(403).json({ error: "Only location admins can do this" });
   }
+  next();
 }
 
-// Run cleanup every 5 minutes
-setInterval(cleanupJobs, 5 * 60 * 1000);
+/**
+ * Respond to a failed GHL call. When the app's access is gone, the client
+ * is told to offer a reinstall rather than shown a generic error.
+ */
+function sendGhlError(res, err, message, extra = {}) {
+  if (err.code === ghl.REINSTALL_REQUIRED) {
+    return res.status(403).json({ error: err.message, code: err.code });
+  }
+  res.status(500).json({ error: message, ...extra });
+}
 
 // --- Health check ---
 
@@ -57,6 +99,16 @@ app.get("/", (_req, res) => {
 
 // --- OAuth ---
 
+// Escape text from GHL responses or the query string for the result pages
+function esc(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
 app.get("/oauth/authorize", (_req, res) => {
   const params = new URLSearchParams({
     response_type: "code",
@@ -75,6 +127,7 @@ app.get("/oauth/callback", async (req, res) => {
 
   try {
     const data = await ghl.exchangeCodeForTokens(code);
+    const agency = data.userType === "Company";
     res.send(`<!DOCTYPE html>
 <html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
 <title>App Installed</title>
@@ -92,8 +145,8 @@ app.get("/oauth/callback", async (req, res) => {
 <div class="card">
   <div class="icon"><svg fill="none" stroke="currentColor" stroke-width="2.5" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" d="M5 13l4 4L19 7"/></svg></div>
   <h1>App Installed</h1>
-  <p>Conversation Export has been successfully installed on this account.</p>
-  <div class="location">Location: ${data.locationId}</div>
+  <p>${agency ? "Conversation Export has been installed for your agency and is available in every sub-account." : "Conversation Export has been successfully installed on this account."}</p>
+  <div class="location">${agency ? `Agency: ${esc(data.companyId)}` : `Location: ${esc(data.locationId)}`}</div>
   <p class="next">You can close this tab and access the app from your GHL sidebar.</p>
 </div>
 </body></html>`);
@@ -120,7 +173,7 @@ app.get("/oauth/callback", async (req, res) => {
   <div class="icon"><svg fill="none" stroke="currentColor" stroke-width="2.5" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" d="M6 18L18 6M6 6l12 12"/></svg></div>
   <h1>Installation Failed</h1>
   <p>Something went wrong while installing the app. Please try again or contact support.</p>
-  <div class="error-detail">${errMsg}</div>
+  <div class="error-detail">${esc(errMsg)}</div>
 </div>
 </body></html>`);
   }
@@ -128,16 +181,48 @@ app.get("/oauth/callback", async (req, res) => {
 
 // --- SSO ---
 
-app.post("/sso", (req, res) => {
+app.post("/sso", async (req, res) => {
   const { key } = req.body;
   if (!key) return res.status(400).json({ error: "Missing SSO key" });
 
+  let data, token, sess;
   try {
-    const data = ghl.decryptSSOData(key);
-    res.json(data);
+    data = ghl.decryptSSOData(key);
+    ({ token, session: sess } = session.createSession(data));
   } catch (err) {
     console.error("SSO decryption error:", err.message);
-    res.status(400).json({ error: "Invalid SSO key" });
+    return res.status(400).json({ error: "Invalid SSO key" });
+  }
+
+  // With an agency install, a sub-account gets its token on first use
+  let installed = true;
+  try {
+    installed = await ghl.ensureLocationTokens(sess.locationId, sess.companyId);
+  } catch (err) {
+    console.error(`Failed to mint a token for location ${sess.locationId}:`, err.response?.data || err.message);
+    if (err.code === ghl.REINSTALL_REQUIRED) installed = false;
+  }
+  res.json({ ...data, locationId: sess.locationId, sessionToken: token, expiresAt: sess.exp, installed });
+});
+
+// --- GHL app lifecycle webhooks (install / uninstall) ---
+
+app.post("/webhooks/ghl", async (req, res) => {
+  if (!config.ghl.webhookPublicKey) {
+    console.error("GHL webhook received but GHL_WEBHOOK_PUBLIC_KEY is not set");
+    return res.status(503).json({ error: "Webhook verification is not configured" });
+  }
+  if (!installs.verifySignature(req.rawBody, req.get("x-wh-signature"))) {
+    return res.status(401).json({ error: "Invalid signature" });
+  }
+
+  try {
+    await installs.handleEvent(req.body);
+    res.json({ received: true });
+  } catch (err) {
+    // A 5xx makes GHL retry the delivery
+    console.error(`GHL ${req.body.type} webhook failed:`, err.message);
+    res.status(500).json({ error: "Failed to process webhook" });
   }
 });
 
@@ -149,42 +234,32 @@ app.get("/app", (_req, res) => {
 
 // --- API: Contact search ---
 
+app.use("/api", requireSession);
+
 app.get("/api/contacts/search", async (req, res) => {
-  const { q, locationId } = req.query;
-  if (!locationId) return res.status(400).json({ error: "Missing locationId" });
+  const { q } = req.query;
+  const { locationId } = req.session;
   if (!q || q.trim().length < 3) return res.status(400).json({ error: "Query too short" });
+  await audit.record(audit.actorFromRequest(req), "contacts.search", { filters: { query: q.trim() } });
 
   try {
-    const { data } = await ghl.apiCall(
-      locationId,
-      "GET",
-      `${config.ghl.apiDomain}/contacts/?locationId=${locationId}&query=${encodeURIComponent(q.trim())}&limit=10`
-    );
-
-    const contacts = (data.contacts || []).map((c) => ({
-      id: c.id,
-      name: [c.firstName, c.lastName].filter(Boolean).join(" ") || "No Name",
-      email: c.email || null,
-      phone: c.phone || null,
-    }));
-
-    res.json({ contacts });
+    const results = await contacts.searchContacts(locationId, q.trim());
+    res.json({ contacts: results });
   } catch (err) {
     const detail = err.response?.data || err.message;
     console.error("Contact search error:", detail);
-    res.status(500).json({ error: "Failed to search contacts", detail });
+    sendGhlError(res, err, "Failed to search contacts", { detail });
   }
 });
 
 // --- API: Contact date range ---
 
 app.get("/api/contacts/:contactId/date-range", async (req, res) => {
-  const { locationId } = req.query;
+  const { locationId } = req.session;
   const { contactId } = req.params;
-  if (!locationId) return res.status(400).json({ error: "Missing locationId" });
 
   try {
-    const convos = await conversations.fetchAllConversations(locationId, contactId);
+    const convos = await conversations.listConversations(locationId, contactId);
 
     if (convos.length === 0) {
       return res.json({ startDate: null, endDate: null });
@@ -205,118 +280,524 @@ app.get("/api/contacts/:contactId/date-range", async (req, res) => {
     const min = new Date(Math.min(...dates));
     const max = new Date(Math.max(...dates));
 
+    // Calendar days in the timezone the export will use
+    const tz = timezone.isValidTimeZone(req.query.timezone)
+      ? req.query.timezone
+      : await timezone.getLocationTimezone(locationId);
     res.json({
-      startDate: min.toISOString().split("T")[0],
-      endDate: max.toISOString().split("T")[0],
+      startDate: timezone.localDate(min, tz),
+      endDate: timezone.localDate(max, tz),
     });
   } catch (err) {
     console.error("Date range error:", err.response?.data || err.message);
-    res.status(500).json({ error: "Failed to fetch date range" });
+    sendGhlError(res, err, "Failed to fetch date range");
   }
 });
 
-// --- API: Start export ---
+// --- Export options (shared by single and bulk exports) ---
 
-app.post("/api/export", async (req, res) => {
-  const { contactId, locationId, contactName, contactEmail, contactPhone, startDate, endDate } = req.body;
-  if (!contactId || !locationId) {
-    return res.status(400).json({ error: "Missing contactId or locationId" });
-  }
-
-  const job = createJob(contactId, locationId);
-  res.json({ jobId: job.id });
-
-  // Run export async
-  runExport(job, {
-    name: contactName || "Unknown",
-    email: contactEmail || null,
-    phone: contactPhone || null,
-  }, { startDate: startDate || null, endDate: endDate || null }).catch((err) => {
-    console.error(`Export job ${job.id} failed:`, err);
-    job.status = "failed";
-    job.error = err.message;
-  });
-});
+const BATES_PREFIX = /^[A-Za-z0-9_-]{0,20}$/;
+const MAX_LEGEND_LENGTH = 120;
+const MAX_FILTER_VALUES = 20;
+const MAX_FILTER_VALUE_LENGTH = 100;
+const DIRECTIONS = ["inbound", "outbound"];
 
-async function runExport(job, contact, dateRange = {}) {
-  try {
-    // Fetch all messages
-    let messages = await conversations.fetchContactHistory(
-      job.locationId,
-      job.contactId,
-      (progress) => {
-        job.progress = progress;
+// Array or comma-separated string -> trimmed, de-duplicated values
+function toList(value) {
+  const items = Array.isArray(value) ? value : String(value || "").split(",");
+  return [...new Set(items.map((v) => String(v).trim()).filter(Boolean))];
+}
+
+/**
+ * Validate the export options common to every export request.
+ * Returns `{ options }` or `{ error }`.
+ */
+function parseExportOptions(body) {
+  const format = body.format || renderers.DEFAULT_FORMAT;
+  if (!renderers.isSupportedFormat(format)) {
+    return { error: `Unsupported format. Use one of: ${renderers.FORMATS.join(", ")}` };
+  }
+
+  let bates = null;
+  if (body.bates) {
+    const prefix = String(body.bates.prefix || "");
+    const start = body.bates.start === undefined ? 1 : Number(body.bates.start);
+    const digits = body.bates.digits === undefined ? 6 : Number(body.bates.digits);
+    if (!BATES_PREFIX.test(prefix)) {
+      return { error: "Bates prefix may only contain letters, numbers, _ and - (max 20)" };
+    }
+    if (!Number.isInteger(start) || start < 0) {
+      return { error: "Bates start must be a whole number" };
+    }
+    if (!Number.isInteger(digits) || digits < 1 || digits > 12) {
+      return { error: "Bates digits must be between 1 and 12" };
+    }
+    bates = { prefix, start, digits };
+  }
+
+  if (body.timezone && !timezone.isValidTimeZone(body.timezone)) {
+    return { error: "Unknown timezone" };
+  }
+
+  const legend = body.legend ? String(body.legend).trim() : null;
+  if (legend && legend.length > MAX_LEGEND_LENGTH) {
+    return { error: `Legend must be ${MAX_LEGEND_LENGTH} characters or fewer` };
+  }
+
+  let redactionOptions = null;
+  if (body.redaction?.enabled) {
+    const detectors = {};
+    for (const [key, enabled] of Object.entries(body.redaction.detectors || {})) {
+      if (!(key in redaction.DETECTORS)) {
+        return { error: `Unknown redaction detector: ${key}` };
       }
-    );
+      detectors[key] = Boolean(enabled);
+    }
+    redactionOptions = { enabled: true, detectors };
+  }
+
+  for (const key of ["startDate", "endDate"]) {
+    if (body[key] && !timezone.isValidDate(body[key])) {
+      return { error: `${key} must be a date in YYYY-MM-DD format` };
+    }
+  }
+  if (body.startDate && body.endDate && body.startDate > body.endDate) {
+    return { error: "startDate must not be after endDate" };
+  }
 
-    // Filter by date range if specified
-    if (dateRange.startDate) {
-      const start = new Date(dateRange.startDate);
-      start.setHours(0, 0, 0, 0);
-      messages = messages.filter((m) => new Date(m.dateAdded) >= start);
+  const channels = [];
+  for (const value of toList(body.channels)) {
+    const channel = filters.CHANNELS.find((c) => c.toLowerCase() === value.toLowerCase());
+    if (!channel) {
+      return { error: `Unknown channel: ${value}. Use any of: ${filters.CHANNELS.join(", ")}` };
+    }
+    if (!channels.includes(channel)) channels.push(channel);
+  }
+  const keywords = toList(body.keywords);
+  for (const [name, values] of [["channels", channels], ["keywords", keywords]]) {
+    if (values.length > MAX_FILTER_VALUES) {
+      return { error: `At most ${MAX_FILTER_VALUES} ${name} may be given` };
     }
-    if (dateRange.endDate) {
-      const end = new Date(dateRange.endDate);
-      end.setHours(23, 59, 59, 999);
-      messages = messages.filter((m) => new Date(m.dateAdded) <= end);
+    if (values.some((v) => v.length > MAX_FILTER_VALUE_LENGTH)) {
+      return { error: `Each of the ${name} must be ${MAX_FILTER_VALUE_LENGTH} characters or fewer` };
     }
+  }
+  const direction = body.direction || null;
+  if (direction && !DIRECTIONS.includes(direction)) {
+    return { error: `Direction must be one of: ${DIRECTIONS.join(", ")}` };
+  }
 
-    job.progress = { phase: "generating_pdf", totalMessages: messages.length };
+  return {
+    options: {
+      dateRange: { startDate: body.startDate || null, endDate: body.endDate || null },
+      // null means the location's timezone, resolved when the job runs
+      timezone: body.timezone || null,
+      filters: { channels, direction, keywords },
+      format,
+      production: { bates, legend: legend || null },
+      // PDF navigation: contents pages, one section per conversation
+      layout: {
+        tableOfContents: Boolean(body.tableOfContents),
+        conversationSections: Boolean(body.conversationSections),
+      },
+      redaction: redactionOptions,
+      includeAttachments: Boolean(body.includeAttachments),
+      includeRecordings: Boolean(body.includeRecordings),
+    },
+  };
+}
 
-    // Generate PDF
-    const exportsDir = store.ensureExportsDir();
-    const safeName = (contact.name || "export").replace(/[^a-zA-Z0-9_-]/g, "_");
-    const filename = `${safeName}_${job.id.slice(0, 8)}.pdf`;
-    const filePath = path.join(exportsDir, filename);
+// --- API: Start export ---
 
-    await pdf.generatePDF(contact, messages, filePath);
+app.post("/api/export", async (req, res) => {
+  const { contactId, contactName, contactEmail, contactPhone } = req.body;
+  if (!contactId) {
+    return res.status(400).json({ error: "Missing contactId" });
+  }
+  const { options, error } = parseExportOptions(req.body);
+  if (error) return res.status(400).json({ error });
 
-    job.filePath = filePath;
-    job.filename = filename;
-    job.status = "complete";
-    job.progress = {
-      phase: "complete",
-      totalMessages: messages.length,
-    };
+  try {
+    const job = await jobs.createJob({ ...req.session, ip: req.ip }, {
+      contactId,
+      params: {
+        contact: {
+          name: contactName || "Unknown",
+          email: contactEmail || null,
+          phone: contactPhone || null,
+        },
+        ...options,
+      },
+    });
+    await audit.recordJob(job, "export.started", { userAgent: req.get("User-Agent") || null });
+    res.json({ jobId: job.id });
 
-    console.log(`Export complete: ${filename} (${messages.length} messages)`);
+    // Run export async
+    startExport(job);
   } catch (err) {
-    job.status = "failed";
-    job.error = err.message;
-    throw err;
+    console.error("Failed to create export job:", err.message);
+    res.status(500).json({ error: "Failed to start export" });
   }
+});
+
+function startExport(job) {
+  jobs
+    .runJob(job, exporter.run)
+    .catch((err) => {
+      console.error(`Export job ${job.id} failed:`, err);
+    })
+    .then(() => jobSettled(job));
+}
+
+// Record a finished scheduled job on its schedule run, whether it ran to
+// the end here or was given up on by orphan recovery
+function jobSettled(job) {
+  if (!job.params?.scheduleRunId) return;
+  return scheduler.completeRun(job).catch((err) => {
+    console.error(`Failed to record scheduled run for job ${job.id}:`, err.message);
+  });
 }
 
+// --- API: Start bulk export ---
+
+app.post("/api/export/bulk", async (req, res) => {
+  const { contacts: selected, tag, query } = req.body;
+  const hasContacts = Array.isArray(selected) && selected.length > 0;
+  if (!hasContacts && !tag && !query) {
+    return res.status(400).json({ error: "Provide contacts, a tag, or a search query" });
+  }
+  const { options, error } = parseExportOptions(req.body);
+  if (error) return res.status(400).json({ error });
+  if (hasContacts && selected.length > config.exports.bulkMaxContacts) {
+    return res.status(400).json({
+      error: `Bulk exports are limited to ${config.exports.bulkMaxContacts} contacts`,
+    });
+  }
+
+  try {
+    const job = await jobs.createJob({ ...req.session, ip: req.ip }, {
+      type: "bulk",
+      params: {
+        selection: {
+          contacts: hasContacts ? selected : [],
+          tag: tag || null,
+          query: query || null,
+        },
+        ...options,
+      },
+    });
+    await audit.recordJob(job, "export.started", { userAgent: req.get("User-Agent") || null });
+    res.json({ jobId: job.id });
+
+    startExport(job);
+  } catch (err) {
+    console.error("Failed to create bulk export job:", err.message);
+    res.status(500).json({ error: "Failed to start export" });
+  }
+});
+
 // --- API: Check export status ---
 
-app.get("/api/export/:jobId", (req, res) => {
-  const job = jobs.get(req.params.jobId);
-  if (!job) return res.status(404).json({ error: "Job not found" });
+app.get("/api/export/:jobId", async (req, res) => {
+  try {
+    const job = await getOwnedJob(req.params.jobId, req.session);
+    if (!job) return res.status(404).json({ error: "Job not found" });
 
-  res.json({
-    jobId: job.id,
-    status: job.status,
-    progress: job.progress,
-    error: job.error,
-    filename: job.filename || null,
-  });
+    res.json({
+      jobId: job.id,
+      type: job.type || "contact",
+      status: job.status,
+      progress: job.progress,
+      error: job.error,
+      errorCode: job.errorCode || null,
+      format: job.params?.format || renderers.DEFAULT_FORMAT,
+      bundled: Boolean(job.params?.includeAttachments || job.params?.includeRecordings),
+      filename: job.filename || null,
+      sha256: job.sha256 || null,
+    });
+  } catch (err) {
+    console.error("Job status error:", err.message);
+    res.status(500).json({ error: "Failed to load job" });
+  }
 });
 
-// --- API: Download PDF ---
+// --- API: Download export file / custody manifest ---
+
+const JOB_FILES = {
+  download: { pathKey: "filePath", nameFor: (job) => job.filename },
+  manifest: { pathKey: "manifestPath", nameFor: (job) => `${job.filename}.manifest.json` },
+};
 
-app.get("/api/export/:jobId/download", (req, res) => {
-  const job = jobs.get(req.params.jobId);
+async function sendJobFile(req, res, file, findJob) {
+  const { pathKey, nameFor } = JOB_FILES[file];
+  let job;
+  try {
+    job = await findJob();
+  } catch (err) {
+    console.error("Job lookup error:", err.message);
+    return res.status(500).json({ error: "Failed to load job" });
+  }
   if (!job) return res.status(404).json({ error: "Job not found" });
   if (job.status !== "complete") return res.status(400).json({ error: "Export not ready" });
-  if (!job.filePath || !fs.existsSync(job.filePath)) {
+  const filePath = job[pathKey];
+  if (!filePath || !fs.existsSync(filePath)) {
     return res.status(404).json({ error: "File not found" });
   }
 
-  res.download(job.filePath, job.filename);
+  // Signed links carry no session, so only the IP identifies who used them
+  await audit.record({ ...audit.actorFromRequest(req), locationId: job.locationId }, "export.downloaded", {
+    contactId: job.contactId || null,
+    jobId: job.id,
+    details: { file, filename: nameFor(job), via: req.session ? "app" : "signed link" },
+  });
+  res.download(filePath, nameFor(job));
+}
+
+app.get("/api/export/:jobId/download", (req, res) =>
+  sendJobFile(req, res, "download", () => getOwnedJob(req.params.jobId, req.session))
+);
+
+app.get("/api/export/:jobId/manifest", (req, res) =>
+  sendJobFile(req, res, "manifest", () => getOwnedJob(req.params.jobId, req.session))
+);
+
+// Signed, expiring links sent in webhook payloads (no session needed)
+app.get("/downloads/:token", (req, res) => {
+  const link = session.verify(req.params.token, "download");
+  if (!link?.jobId || !JOB_FILES[link.file]) {
+    return res.status(403).json({ error: "Download link expired or invalid" });
+  }
+  sendJobFile(req, res, link.file, () => jobs.getJob(link.jobId));
+});
+
+// --- API: Chain-of-custody records ---
+
+app.get("/api/custody", async (req, res) => {
+  try {
+    const records = await store.listCustodyRecords(req.session.locationId, {
+      contactId: req.query.contactId || undefined,
+    });
+    // Summaries only; fetch a single record for message IDs, items and files
+    res.json({
+      records: records.map(({ messageIds, items, attachments, recordings, ...summary }) => summary),
+    });
+  } catch (err) {
+    console.error("Custody list error:", err.message);
+    res.status(500).json({ error: "Failed to load custody records" });
+  }
+});
+
+app.get("/api/custody/:jobId", async (req, res) => {
+  try {
+    const record = await store.getCustodyRecord(req.params.jobId);
+    if (!record || record.locationId !== req.session.locationId) {
+      return res.status(404).json({ error: "Record not found" });
+    }
+    res.json(record);
+  } catch (err) {
+    console.error("Custody record error:", err.message);
+    res.status(500).json({ error: "Failed to load custody record" });
+  }
+});
+
+// --- API: Location timezone ---
+
+app.get("/api/timezone", async (req, res) => {
+  try {
+    res.json({ timezone: await timezone.getLocationTimezone(req.session.locationId) });
+  } catch (err) {
+    console.error("Timezone error:", err.message);
+    res.status(500).json({ error: "Failed to load timezone" });
+  }
+});
+
+// --- API: Location settings ---
+
+app.get("/api/settings", async (req, res) => {
+  try {
+    const saved = await settings.getLocationSettings(req.session.locationId);
+    res.json(settings.visibleSettings(saved, req.session.role));
+  } catch (err) {
+    console.error("Settings load error:", err.message);
+    res.status(500).json({ error: "Failed to load settings" });
+  }
+});
+
+app.put("/api/settings", requireAdmin, async (req, res) => {
+  try {
+    const { settings: saved, error } = await settings.updateLocationSettings(
+      req.session.locationId,
+      req.body.settings
+    );
+    if (error) return res.status(400).json({ error });
+    res.json(saved);
+  } catch (err) {
+    console.error("Settings save error:", err.message);
+    res.status(500).json({ error: "Failed to save settings" });
+  }
+});
+
+// --- API: Audit log (location admins only) ---
+
+const MAX_AUDIT_EVENTS = 5000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate audit log filters from the query string: `action`, `userId`,
+ * `contactId`, and `from`/`to` calendar days in the location's timezone.
+ */
+async function parseAuditQuery(query, locationId) {
+  if (query.action && !audit.ACTIONS.includes(query.action)) {
+    return { error: `Action must be one of: ${audit.ACTIONS.join(", ")}` };
+  }
+  for (const key of ["from", "to"]) {
+    if (query[key] && !DATE_ONLY.test(query[key])) return { error: `${key} must be a YYYY-MM-DD date` };
+  }
+
+  const tz = await timezone.getLocationTimezone(locationId);
+  return {
+    value: {
+      action: query.action || undefined,
+      userId: query.userId || undefined,
+      contactId: query.contactId || undefined,
+      since: query.from ? timezone.startOfDay(query.from, tz).toISOString() : undefined,
+      until: query.to ? new Date(timezone.endOfDay(query.to, tz).getTime() + 1).toISOString() : undefined,
+      limit: Math.min(parseInt(query.limit, 10) || 200, MAX_AUDIT_EVENTS),
+    },
+  };
+}
+
+app.get("/api/audit", requireAdmin, async (req, res) => {
+  try {
+    const { value, error } = await parseAuditQuery(req.query, req.session.locationId);
+    if (error) return res.status(400).json({ error });
+    const events = await store.listAuditEvents(req.session.locationId, value);
+
+    if (req.query.format === "csv") {
+      res.attachment(`audit_${req.session.locationId}_${new Date().toISOString().slice(0, 10)}.csv`);
+      return res.type("text/csv").send(audit.toCsv(events));
+    }
+    res.json({ events });
+  } catch (err) {
+    console.error("Audit log error:", err.message);
+    res.status(500).json({ error: "Failed to load audit log" });
+  }
+});
+
+// --- API: Webhook delivery log (location admins only) ---
+
+app.get("/api/webhooks/deliveries", requireAdmin, async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  try {
+    res.json({ deliveries: await store.listWebhookDeliveries(req.session.locationId, { limit }) });
+  } catch (err) {
+    console.error("Webhook log error:", err.message);
+    res.status(500).json({ error: "Failed to load webhook deliveries" });
+  }
+});
+
+// --- API: Scheduled exports (location admins only) ---
+
+/**
+ * Validate a schedule request body: `{ name, cron, contacts, tag, window,
+ * destination, enabled, options }` where `options` are export options as
+ * accepted by POST /api/export.
+ */
+function parseSchedule(body) {
+  const { options, error } = parseExportOptions(body.options || {});
+  if (error) return { error };
+  return scheduler.validateSchedule(body, options);
+}
+
+app.get("/api/schedules", requireAdmin, async (req, res) => {
+  try {
+    res.json({ schedules: await scheduler.listSchedules(req.session.locationId) });
+  } catch (err) {
+    console.error("Schedule list error:", err.message);
+    res.status(500).json({ error: "Failed to load schedules" });
+  }
+});
+
+app.post("/api/schedules", requireAdmin, async (req, res) => {
+  const { value, error } = parseSchedule(req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const result = await scheduler.createSchedule(req.session, value);
+    if (result.error) return res.status(400).json({ error: result.error });
+    res.status(201).json(result.schedule);
+  } catch (err) {
+    console.error("Schedule create error:", err.message);
+    res.status(500).json({ error: "Failed to create schedule" });
+  }
+});
+
+app.put("/api/schedules/:scheduleId", requireAdmin, async (req, res) => {
+  const { value, error } = parseSchedule(req.body);
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const schedule = await getLocationSchedule(req.params.scheduleId, req.session);
+    if (!schedule) return res.status(404).json({ error: "Schedule not found" });
+    const result = await scheduler.updateSchedule(schedule, value);
+    res.json(result.schedule);
+  } catch (err) {
+    console.error("Schedule update error:", err.message);
+    res.status(500).json({ error: "Failed to update schedule" });
+  }
+});
+
+app.delete("/api/schedules/:scheduleId", requireAdmin, async (req, res) => {
+  try {
+    const schedule = await getLocationSchedule(req.params.scheduleId, req.session);
+    if (!schedule) return res.status(404).json({ error: "Schedule not found" });
+    await scheduler.deleteSchedule(schedule);
+    res.json({ deleted: true });
+  } catch (err) {
+    console.error("Schedule delete error:", err.message);
+    res.status(500).json({ error: "Failed to delete schedule" });
+  }
+});
+
+app.post("/api/schedules/:scheduleId/run", requireAdmin, async (req, res) => {
+  try {
+    const schedule = await getLocationSchedule(req.params.scheduleId, req.session);
+    if (!schedule) return res.status(404).json({ error: "Schedule not found" });
+    const run = await scheduler.runSchedule(schedule, "manual");
+    res.status(202).json(run);
+  } catch (err) {
+    console.error("Schedule run error:", err.message);
+    res.status(500).json({ error: "Failed to start scheduled export" });
+  }
+});
+
+app.get("/api/schedules/:scheduleId/runs", requireAdmin, async (req, res) => {
+  try {
+    const schedule = await getLocationSchedule(req.params.scheduleId, req.session);
+    if (!schedule) return res.status(404).json({ error: "Schedule not found" });
+    res.json({ runs: await store.listScheduleRuns(schedule.id, { limit: 50 }) });
+  } catch (err) {
+    console.error("Schedule history error:", err.message);
+    res.status(500).json({ error: "Failed to load run history" });
+  }
 });
 
 // --- Start ---
 
+// Encrypt tokens saved before encryption was set up, and re-wrap any sealed
+// with a retired key
+store.ready
+  .then(() => store.migrateTokens())
+  .then((count) => count > 0 && console.log(`Encrypted or re-wrapped ${count} stored token records`))
+  .catch((err) => console.error("Token encryption migration failed:", err.message));
+
+// Resume (or fail) exports orphaned by a restart, and expire old jobs
+jobs.startMaintenance(startExport, jobSettled);
+// Run scheduled exports as they come due
+scheduler.start(startExport);
+// Retry webhook deliveries that failed
+webhooks.start();
+
 app.listen(config.port, () => {
   console.log(`GHL Conversation Export running on port ${config.port}`);
   console.log(`OAuth: ${config.appUrl}/oauth/authorize`);
@@ -0,0 +1,146 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const axios = require("axios");
+const config = require("../config");
+const egress = require("./egress");
+const { attachmentName, attachmentUrl } = require("./format");
+
+const DOWNLOAD_TIMEOUT_MS = 60 * 1000;
+
+// PDFKit (and every browser) can display these inline
+const INLINE_SIGNATURES = [
+  Buffer.from([0x89, 0x50, 0x4e, 0x47]), // PNG
+  Buffer.from([0xff, 0xd8, 0xff]), // JPEG
+];
+
+function safeName(name) {
+  return name.replace(/[^a-zA-Z0-9._-]/g, "_").replace(/^\.+/, "").slice(-80) || "attachment";
+}
+
+function isInlineImage(filePath) {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const head = Buffer.alloc(4);
+    fs.readSync(fd, head, 0, 4, 0);
+    return INLINE_SIGNATURES.some((sig) => head.subarray(0, sig.length).equals(sig));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Write a readable stream to `destPath`, hashing as it goes. Gives up (and
+ * removes the partial file) past `maxBytes`. Resolves `{ sha256, sizeBytes }`.
+ */
+async function saveStream(source, destPath, maxBytes) {
+  const hash = crypto.createHash("sha256");
+  let size = 0;
+  const meter = new Transform({
+    transform(chunk, _enc, callback) {
+      size += chunk.length;
+      if (size > maxBytes) {
+        return callback(new Error(`Larger than the ${Math.round(maxBytes / 1024 / 1024)} MB limit`));
+      }
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+  });
+
+  try {
+    await pipeline(source, meter, fs.createWriteStream(destPath));
+  } catch (err) {
+    fs.rmSync(destPath, { force: true });
+    throw err;
+  }
+
+  return { sha256: hash.digest("hex"), sizeBytes: size };
+}
+
+/**
+ * Download one attachment URL to `destPath`, within the attachment size
+ * limit. URLs come from message data, so only public addresses are
+ * fetched, through every redirect.
+ */
+async function downloadFile(url, destPath) {
+  egress.assertPublicUrl(url);
+  const res = await axios.get(url, {
+    responseType: "stream",
+    timeout: DOWNLOAD_TIMEOUT_MS,
+    maxRedirects: 5,
+    ...egress.publicRequestOptions(),
+  });
+  const info = await saveStream(res.data, destPath, config.exports.attachmentMaxBytes);
+  return {
+    ...info,
+    contentType: (res.headers["content-type"] || "application/octet-stream").split(";")[0].trim(),
+  };
+}
+
+/**
+ * Download every attachment referenced by `messages` into
+ * `<rootDir>/<prefix>/`. Each URL is fetched once even if several messages
+ * share it. A failed download is recorded with its error instead of
+ * failing the export. When `messages` were redacted, `originals` are the
+ * same messages before redaction: files are fetched from their URLs but
+ * named and described by the redacted ones.
+ *
+ * Returns one entry per attachment reference, in message order:
+ *   { messageId, index, name, url, path, sha256, sizeBytes, contentType,
+ *     inline, localPath, error }
+ * where `index` is the attachment's position in the message
+ * where `path` is relative to `rootDir` (the path inside the bundle).
+ */
+async function downloadAttachments(messages, rootDir, { prefix = "attachments", originals = messages, onProgress } = {}) {
+  const refs = [];
+  messages.forEach((msg, i) => {
+    (msg.attachments || []).forEach((att, j) => {
+      const url = attachmentUrl(att);
+      const sourceUrl = attachmentUrl(originals[i].attachments[j]);
+      if (url && sourceUrl) refs.push({ messageId: msg.id, index: j, name: attachmentName(att), url, sourceUrl });
+    });
+  });
+  if (refs.length === 0) return [];
+
+  fs.mkdirSync(path.join(rootDir, prefix), { recursive: true });
+
+  const bySource = new Map();
+  let completed = 0;
+  let saved = 0;
+  for (const ref of refs) {
+    if (!bySource.has(ref.sourceUrl)) {
+      const bundlePath = `${prefix}/${String(saved + 1).padStart(4, "0")}_${safeName(ref.name)}`;
+      const localPath = path.join(rootDir, bundlePath);
+      let file;
+      try {
+        const info = await downloadFile(ref.sourceUrl, localPath);
+        file = { path: bundlePath, localPath, ...info, inline: isInlineImage(localPath), error: null };
+        saved++;
+      } catch (err) {
+        console.error(`Attachment download failed (${ref.url}):`, err.message);
+        file = { path: null, localPath: null, error: err.message };
+      }
+      bySource.set(ref.sourceUrl, file);
+    }
+    completed++;
+    if (onProgress) onProgress({ phase: "attachments", completed, total: refs.length });
+  }
+
+  return refs.map(({ sourceUrl, ...ref }) => ({ ...ref, ...bySource.get(sourceUrl) }));
+}
+
+/**
+ * Downloaded file entries (attachments or recordings) as recorded in
+ * manifests: no server-side paths.
+ */
+function describeFiles(entries) {
+  return entries.map(({ localPath, ...entry }) => entry);
+}
+
+module.exports = {
+  saveStream,
+  downloadAttachments,
+  describeFiles,
+};
@@ -0,0 +1,131 @@
+const crypto = require("crypto");
+const store = require("./store");
+
+// Who searched for, exported and downloaded which contact's history, from
+// where and with which filters. Events are only ever added, never changed.
+
+const ACTIONS = ["contacts.search", "export.started", "export.completed", "export.failed", "export.downloaded"];
+
+const CSV_COLUMNS = [
+  "at",
+  "action",
+  "userId",
+  "email",
+  "userName",
+  "role",
+  "locationId",
+  "contactId",
+  "jobId",
+  "ip",
+  "filters",
+  "details",
+];
+
+/**
+ * The user behind an API request, as recorded on audit events.
+ */
+function actorFromRequest(req) {
+  const sess = req.session || {};
+  return {
+    locationId: sess.locationId || null,
+    userId: sess.userId || null,
+    email: sess.email || null,
+    userName: sess.userName || null,
+    role: sess.role || null,
+    ip: req.ip || null,
+    userAgent: req.get("User-Agent") || null,
+  };
+}
+
+/**
+ * The user who started a job (the schedule's creator for scheduled runs).
+ */
+function actorFromJob(job) {
+  const by = job.exportedBy || {};
+  return {
+    locationId: job.locationId,
+    userId: by.userId || null,
+    email: by.email || null,
+    userName: by.userName || null,
+    role: by.role || null,
+    ip: job.requestIp || null,
+    userAgent: null,
+  };
+}
+
+/**
+ * The export options that decide what a job discloses.
+ */
+function jobFilters(job) {
+  const p = job.params;
+  return {
+    format: p.format || "pdf",
+    dateRange: p.dateRange || null,
+    timezone: p.timezone || null,
+    channels: p.filters?.channels || [],
+    direction: p.filters?.direction || null,
+    keywords: p.filters?.keywords || [],
+    redaction: Boolean(p.redaction?.enabled),
+    includeAttachments: Boolean(p.includeAttachments),
+    includeRecordings: Boolean(p.includeRecordings),
+    selection: p.selection || null,
+  };
+}
+
+/**
+ * Add an event to the audit log. Never rejects: a failed write is logged
+ * but must not break the action being audited.
+ */
+async function record(actor, action, { contactId = null, jobId = null, filters = null, details = null } = {}) {
+  const event = {
+    id: crypto.randomUUID(),
+    at: new Date().toISOString(),
+    action,
+    ...actor,
+    contactId,
+    jobId,
+    filters,
+    details,
+  };
+  try {
+    await store.saveAuditEvent(event);
+  } catch (err) {
+    console.error(`Failed to write audit event ${action}:`, err.message);
+  }
+}
+
+/**
+ * Record an event about a job on behalf of whoever started it.
+ */
+function recordJob(job, action, details = null) {
+  return record(actorFromJob(job), action, {
+    contactId: job.contactId || null,
+    jobId: job.id,
+    filters: jobFilters(job),
+    details,
+  });
+}
+
+function quote(value) {
+  if (value === null || value === undefined) return "";
+  let str = typeof value === "object" ? JSON.stringify(value) : String(value);
+  // Keep spreadsheet apps from evaluating user-entered text as a formula
+  if (/^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Audit events as CSV, one row per event.
+ */
+function toCsv(events) {
+  const rows = events.map((e) => CSV_COLUMNS.map((c) => quote(e[c])).join(","));
+  return [CSV_COLUMNS.join(","), ...rows].join("\n");
+}
+
+module.exports = {
+  ACTIONS,
+  actorFromRequest,
+  record,
+  recordJob,
+  toCsv,
+};
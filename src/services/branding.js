@@ -0,0 +1,97 @@
+// Per-location branding for PDF exports: the firm's logo, name, address,
+// accent color and a disclaimer, shown on the cover page, in page headers
+// and in the document metadata.
+
+const DEFAULT_ACCENT = "#2563eb";
+
+const DEFAULTS = {
+  firmName: "",
+  address: "",
+  accentColor: DEFAULT_ACCENT,
+  disclaimer: "",
+  // PNG or JPEG as a data: URL
+  logo: null,
+};
+
+const MAX_FIRM_NAME_LENGTH = 120;
+const MAX_ADDRESS_LENGTH = 400;
+const MAX_DISCLAIMER_LENGTH = 2000;
+const MAX_LOGO_BYTES = 256 * 1024;
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+const LOGO_DATA_URL = /^data:image\/(png|jpeg);base64,([A-Za-z0-9+/]+=*)$/;
+
+// Leading bytes of each accepted image type
+const SIGNATURES = {
+  png: Buffer.from([0x89, 0x50, 0x4e, 0x47]),
+  jpeg: Buffer.from([0xff, 0xd8, 0xff]),
+};
+
+/**
+ * Decode a logo data URL, or null if it isn't a PNG or JPEG.
+ */
+function decodeLogo(dataUrl) {
+  const match = LOGO_DATA_URL.exec(dataUrl || "");
+  if (!match) return null;
+  const data = Buffer.from(match[2], "base64");
+  const signature = SIGNATURES[match[1]];
+  return data.subarray(0, signature.length).equals(signature) ? data : null;
+}
+
+/**
+ * Whether any branding has been set up (otherwise exports look as they
+ * always have).
+ */
+function isBranded(settings = {}) {
+  const { firmName, address, disclaimer, logo, accentColor } = settings;
+  return Boolean(firmName || address || disclaimer || logo || (accentColor && accentColor !== DEFAULT_ACCENT));
+}
+
+/**
+ * Validate a location's branding settings. `current` is the saved section,
+ * whose logo is kept unless `logo` is given (null removes it). Returns
+ * `{ value }` or `{ error }`.
+ */
+function validateSettings(input = {}, current = {}) {
+  const firmName = String(input.firmName || "").trim();
+  if (firmName.length > MAX_FIRM_NAME_LENGTH) {
+    return { error: `Firm name must be ${MAX_FIRM_NAME_LENGTH} characters or fewer` };
+  }
+
+  const address = String(input.address || "")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .join("\n");
+  if (address.length > MAX_ADDRESS_LENGTH) {
+    return { error: `Address must be ${MAX_ADDRESS_LENGTH} characters or fewer` };
+  }
+
+  const accentColor = input.accentColor ? String(input.accentColor).trim() : DEFAULT_ACCENT;
+  if (!HEX_COLOR.test(accentColor)) return { error: "Accent color must be a hex color like #1f3a5f" };
+
+  const disclaimer = String(input.disclaimer || "").trim();
+  if (disclaimer.length > MAX_DISCLAIMER_LENGTH) {
+    return { error: `Disclaimer must be ${MAX_DISCLAIMER_LENGTH} characters or fewer` };
+  }
+
+  let logo = current?.logo || null;
+  if (input.logo !== undefined) {
+    logo = input.logo || null;
+    if (logo) {
+      const data = decodeLogo(logo);
+      if (!data) return { error: "Logo must be a PNG or JPEG image" };
+      if (data.length > MAX_LOGO_BYTES) return { error: `Logo must be ${MAX_LOGO_BYTES / 1024} KB or smaller` };
+    }
+  }
+
+  return { value: { firmName, address, accentColor: accentColor.toLowerCase(), disclaimer, logo } };
+}
+
+module.exports = {
+  DEFAULTS,
+  DEFAULT_ACCENT,
+  MAX_LOGO_BYTES,
+  decodeLogo,
+  isBranded,
+  validateSettings,
+};
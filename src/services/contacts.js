@@ -0,0 +1,95 @@
+const config = require("../config");
+const ghl = require("./ghl");
+
+const API = config.ghl.apiDomain;
+const PAGE_LIMIT = 100;
+
+/**
+ * Reduce a GHL contact to the fields the app uses.
+ */
+function formatContact(c) {
+  return {
+    id: c.id,
+    name: [c.firstName, c.lastName].filter(Boolean).join(" ") || c.contactName || "No Name",
+    email: c.email || null,
+    phone: c.phone || null,
+  };
+}
+
+/**
+ * Quick search by name, email, or phone (used by the search box).
+ */
+async function searchContacts(locationId, query, limit = 10) {
+  const { data } = await ghl.apiCall(
+    locationId,
+    "GET",
+    `${API}/contacts/?locationId=${locationId}&query=${encodeURIComponent(query)}&limit=${limit}`
+  );
+  return (data.contacts || []).map(formatContact);
+}
+
+async function getContact(locationId, contactId) {
+  const { data } = await ghl.apiCall(locationId, "GET", `${API}/contacts/${contactId}`);
+  return formatContact(data.contact || data);
+}
+
+/**
+ * Page through the advanced search endpoint for every contact matching a
+ * tag and/or free-text query, up to `max` contacts.
+ */
+async function findContacts(locationId, { tag, query }, max) {
+  const contacts = [];
+  let page = 1;
+
+  while (contacts.length < max) {
+    const body = { locationId, page, pageLimit: PAGE_LIMIT };
+    if (query) body.query = query;
+    if (tag) body.filters = [{ field: "tags", operator: "eq", value: tag }];
+
+    const { data } = await ghl.apiCall(locationId, "POST", `${API}/contacts/search`, body);
+    const batch = Array.isArray(data.contacts) ? data.contacts : [];
+    contacts.push(...batch.map(formatContact));
+
+    if (batch.length < PAGE_LIMIT) break;
+    if (data.total && contacts.length >= data.total) break;
+    page++;
+  }
+
+  return contacts.slice(0, max);
+}
+
+/**
+ * Turn a bulk selection into a list of contacts. Accepts explicit contact
+ * IDs (with optional known details), a tag, or a search query; results
+ * are de-duplicated by ID and capped at `max`.
+ */
+async function resolveContacts(locationId, selection, max) {
+  const byId = new Map();
+
+  for (const entry of selection.contacts || []) {
+    const c = typeof entry === "string" ? { id: entry } : entry;
+    if (c.id && !byId.has(c.id)) byId.set(c.id, c);
+  }
+
+  if (selection.tag || selection.query) {
+    const found = await findContacts(locationId, selection, max);
+    for (const c of found) {
+      if (!byId.has(c.id)) byId.set(c.id, c);
+    }
+  }
+
+  const resolved = [];
+  for (const c of [...byId.values()].slice(0, max)) {
+    // Fill in names for IDs passed without details
+    resolved.push(c.name ? c : await getContact(locationId, c.id));
+  }
+  return resolved;
+}
+
+module.exports = {
+  formatContact,
+  searchContacts,
+  getContact,
+  findContacts,
+  resolveContacts,
+};
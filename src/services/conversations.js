@@ -1,11 +1,33 @@
 const config = require("../config");
 const ghl = require("./ghl");
+const store = require("./store");
+const filters = require("./filters");
 
 const API = config.ghl.apiDomain;
-const DELAY_MS = 80;
+// How long a cached conversation list is good enough for the date-range lookup
+const CONVERSATIONS_FRESH_MS = 5 * 60 * 1000;
+// Cached calls without a transcription are re-checked this long after the
+// last check, as GHL may still have been processing it
+const TRANSCRIPTION_RETRY_MS = 24 * 60 * 60 * 1000;
+// Call statuses that may still change to "completed"
+const PENDING_CALL_STATUSES = ["queued", "initiated", "ringing", "in-progress"];
 
-function delay(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+/**
+ * Map `items` through async `fn` with at most `limit` calls in flight.
+ * Results keep the order of `items` regardless of completion order.
+ */
+async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  const workers = Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker);
+  await Promise.all(workers);
+  return results;
 }
 
 /**
@@ -45,8 +67,6 @@ async function fetchAllConversations(locationId, contactId, onProgress) {
     const nextId = data.lastMessageId || batch[batch.length - 1]?.lastMessageId || batch[batch.length - 1]?.id;
     if (!nextId || nextId === lastMessageId) break;
     lastMessageId = nextId;
-
-    await delay(DELAY_MS);
   }
 
   return conversations;
@@ -54,8 +74,10 @@ async function fetchAllConversations(locationId, contactId, onProgress) {
 
 /**
  * Fetch all messages for a conversation (paginated, newest first from API).
+ * With `knownIds`, stops at the first page reaching an already-cached
+ * message and returns only the newer ones.
  */
-async function fetchAllMessages(locationId, conversationId, onProgress) {
+async function fetchAllMessages(locationId, conversationId, onProgress, knownIds) {
   const messages = [];
   let lastMessageId = undefined;
 
@@ -74,7 +96,8 @@ async function fetchAllMessages(locationId, conversationId, onProgress) {
     if (!Array.isArray(data.messages)) {
       console.log("Messages response shape:", JSON.stringify(data).slice(0, 500));
     }
-    messages.push(...batch);
+    const reachedKnown = knownIds && batch.some((m) => knownIds.has(m.id));
+    messages.push(...(reachedKnown ? batch.filter((m) => !knownIds.has(m.id)) : batch));
 
     if (onProgress) {
       onProgress({
@@ -84,18 +107,24 @@ async function fetchAllMessages(locationId, conversationId, onProgress) {
       });
     }
 
-    if (batch.length === 0) break;
+    if (batch.length === 0 || reachedKnown) break;
 
     const nextId = data.lastMessageId || batch[batch.length - 1]?.id;
     if (!nextId || nextId === lastMessageId) break;
     lastMessageId = nextId;
-
-    await delay(DELAY_MS);
   }
 
   return messages;
 }
 
+/**
+ * Fetch a single message, as it is now.
+ */
+async function fetchMessage(locationId, messageId) {
+  const { data } = await ghl.apiCall(locationId, "GET", `${API}/conversations/messages/${messageId}`);
+  return data.message || data;
+}
+
 /**
  * Fetch call transcription for a message.
  */
@@ -117,10 +146,82 @@ async function fetchTranscription(locationId, messageId) {
 }
 
 /**
- * Fetch complete conversation history for a contact.
+ * Open the audio recording of a call as a stream. Resolves
+ * `{ stream, contentType }`, or null when the call has no recording.
+ */
+async function fetchRecording(locationId, messageId) {
+  try {
+    const res = await ghl.apiCall(
+      locationId,
+      "GET",
+      `${API}/conversations/messages/${messageId}/locations/${locationId}/recording`,
+      null,
+      { responseType: "stream" }
+    );
+    return {
+      stream: res.data,
+      contentType: (res.headers["content-type"] || "application/octet-stream").split(";")[0].trim(),
+    };
+  } catch (err) {
+    if (err.response?.status === 404 || err.response?.status === 422) {
+      return null;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Calls that connected, and so may have a transcription and recording.
+ */
+function isCompletedCall(m) {
+  return m.messageType === "CALL" && m.status === "completed" && Boolean(m.direction);
+}
+
+// Calls that were still going on when they were fetched
+function isPendingCall(m) {
+  return m.messageType === "CALL" && PENDING_CALL_STATUSES.includes(m.status);
+}
+
+/**
+ * A contact's cached history, unless caching is off, the cache is
+ * unreadable or it is due for a full re-download.
+ */
+async function loadCache(locationId, contactId) {
+  if (!config.cache.enabled) return null;
+  try {
+    const cached = await store.getMessageCache(locationId, contactId);
+    if (!cached || Date.now() - Date.parse(cached.fullSyncAt) > config.cache.fullSyncMs) return null;
+    return cached;
+  } catch (err) {
+    console.error(`Message cache read failed (contact ${contactId}):`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Conversations for a contact, from a recent sync when there is one.
+ */
+async function listConversations(locationId, contactId) {
+  const cached = await loadCache(locationId, contactId);
+  if (cached && Date.now() - Date.parse(cached.syncedAt) < CONVERSATIONS_FRESH_MS) {
+    return cached.conversations;
+  }
+  return fetchAllConversations(locationId, contactId);
+}
+
+/**
+ * Fetch complete conversation history for a contact, filtered by the
+ * location's message filter settings (`filterSettings`, defaults if omitted).
  * Returns all messages sorted chronologically (oldest first).
+ *
+ * Raw history is cached per contact: later calls re-list conversations,
+ * skip those with no new activity and page the rest only back to the
+ * newest cached message.
  */
-async function fetchContactHistory(locationId, contactId, onProgress) {
+async function fetchContactHistory(locationId, contactId, onProgress, filterSettings) {
+  const cached = await loadCache(locationId, contactId);
+  const cachedConversations = new Map((cached?.conversations || []).map((c) => [c.id, c]));
+
   // 1. Get all conversations
   const conversations = await fetchAllConversations(
     locationId,
@@ -136,82 +237,108 @@ async function fetchContactHistory(locationId, contactId, onProgress) {
     });
   }
 
-  // 2. Get all messages from each conversation
-  const allMessages = [];
-  for (let i = 0; i < conversations.length; i++) {
-    const conv = conversations[i];
-    const messages = await fetchAllMessages(locationId, conv.id, onProgress);
-    allMessages.push(...messages);
-
-    if (onProgress) {
-      onProgress({
-        phase: "fetching_messages",
-        totalConversations: conversations.length,
-        completedConversations: i + 1,
-        totalMessages: allMessages.length,
-      });
+  // 2. Get new messages from each conversation, a few conversations at a
+  // time. Pages still go through the location's rate-limit scheduler.
+  const known = conversations.map((conv) => cached?.messages[conv.id] || []);
+  const counts = known.map((list) => list.length);
+  let completedConversations = 0;
+  const reportMessages = () => {
+    if (!onProgress) return;
+    onProgress({
+      phase: "fetching_messages",
+      totalConversations: conversations.length,
+      completedConversations,
+      totalMessages: counts.reduce((sum, n) => sum + n, 0),
+    });
+  };
+
+  const perConversation = await mapConcurrent(conversations, config.ghl.fetchConcurrency, async (conv, i) => {
+    const previous = cachedConversations.get(conv.id);
+    const unchanged = previous && conv.lastMessageDate && previous.lastMessageDate === conv.lastMessageDate;
+    let fresh = [];
+    if (!unchanged) {
+      const knownIds = previous ? new Set(known[i].map((m) => m.id)) : null;
+      fresh = await fetchAllMessages(locationId, conv.id, ({ count }) => {
+        counts[i] = known[i].length + count;
+        reportMessages();
+      }, knownIds);
     }
+    counts[i] = known[i].length + fresh.length;
+    completedConversations++;
+    reportMessages();
+    return { messages: [...fresh, ...known[i]], fresh };
+  });
+  const allMessages = perConversation.flatMap((c) => c.messages);
+  const freshIds = new Set(perConversation.flatMap((c) => c.fresh.map((m) => m.id)));
+
+  // 3. Refresh cached calls that were still going on. Unchanged
+  // conversations aren't re-paged, so their status would never update.
+  const pendingCalls = allMessages.filter((m) => !freshIds.has(m.id) && isPendingCall(m));
+  await mapConcurrent(pendingCalls, config.ghl.fetchConcurrency, async (msg) => {
+    try {
+      Object.assign(msg, await fetchMessage(locationId, msg.id));
+      if (isCompletedCall(msg)) freshIds.add(msg.id);
+    } catch (err) {
+      console.error(`Could not refresh call ${msg.id}:`, err.response?.status || err.message);
+    }
+  });
 
-    await delay(DELAY_MS);
-  }
-
-  // 3. Fetch transcriptions for completed calls
+  // 4. Fetch transcriptions for completed calls not seen before, and for
+  // cached ones still without one whose last check is old enough. Calls
+  // cached before checks were recorded were last checked at that sync.
+  const now = new Date().toISOString();
+  const lastChecks = cached?.transcriptionChecks || {};
+  const checkDue = (m) => Date.now() - Date.parse(lastChecks[m.id] || cached.syncedAt) >= TRANSCRIPTION_RETRY_MS;
   const callMessages = allMessages.filter(
-    (m) =>
-      m.messageType === "CALL" &&
-      m.status === "completed" &&
-      m.direction
+    (m) => isCompletedCall(m) && (freshIds.has(m.id) || (!m.transcription && checkDue(m)))
   );
+  // messageId -> last check, for completed calls still without a transcription
+  const transcriptionChecks = {};
+  for (const m of allMessages) {
+    if (cached && isCompletedCall(m) && !m.transcription && !freshIds.has(m.id)) {
+      transcriptionChecks[m.id] = lastChecks[m.id] || cached.syncedAt;
+    }
+  }
 
-  for (let i = 0; i < callMessages.length; i++) {
-    const msg = callMessages[i];
+  let completedCalls = 0;
+  await mapConcurrent(callMessages, config.ghl.fetchConcurrency, async (msg) => {
     const transcription = await fetchTranscription(locationId, msg.id);
     if (transcription) {
       msg.transcription = transcription;
+      delete transcriptionChecks[msg.id];
+    } else {
+      transcriptionChecks[msg.id] = now;
     }
 
+    completedCalls++;
     if (onProgress) {
       onProgress({
         phase: "transcriptions",
         total: callMessages.length,
-        completed: i + 1,
+        completed: completedCalls,
       });
     }
+  });
 
-    await delay(DELAY_MS);
+  if (config.cache.enabled) {
+    try {
+      await store.saveMessageCache(locationId, contactId, {
+        syncedAt: now,
+        fullSyncAt: cached ? cached.fullSyncAt : now,
+        conversations,
+        transcriptionChecks,
+        // conversationId -> raw messages, newest first as GHL returns them
+        messages: Object.fromEntries(conversations.map((conv, i) => [conv.id, perConversation[i].messages])),
+      });
+    } catch (err) {
+      console.error(`Message cache write failed (contact ${contactId}):`, err.message);
+    }
   }
 
-  // 4. Filter out internal GHL activity/system messages
-  const SYSTEM_PATTERNS = [
-    /^opportunity\s+(created|updated|deleted|moved|won|lost|abandoned|status changed)/i,
-    /^contact\s+(created|updated|deleted|tagged|untagged)/i,
-    /^task\s+(created|completed|deleted)/i,
-    /^note\s+(created|updated|deleted)/i,
-    /^appointment\s+(created|updated|cancelled|deleted|scheduled|rescheduled)/i,
-    /^invoice\s+(created|sent|paid|voided)/i,
-    /^payment\s+(received|failed|refunded)/i,
-    /^workflow\s+/i,
-    /^pipeline\s+/i,
-  ];
-
-  const filtered = allMessages.filter((m) => {
-    // Must have a real direction
-    if (m.direction !== "inbound" && m.direction !== "outbound") return false;
-    // Skip activity/system message types
-    if (m.messageType === "ACTIVITY" || m.contentType === "ACTIVITY") return false;
-
-    // Skip messages with no real content
-    const body = m.body || m.text || m.message || m.html || "";
-    if (!body && m.messageType !== "CALL") return false;
-
-    // Skip known system message patterns
-    const text = (typeof body === "string" ? body : "").trim();
-    if (SYSTEM_PATTERNS.some((p) => p.test(text))) return false;
-
-    return true;
-  });
+  // 5. Filter out internal GHL activity/system messages
+  const filtered = filters.filterMessages(allMessages, filterSettings);
 
-  // 5. Sort chronologically (oldest first)
+  // 6. Sort chronologically (oldest first)
   filtered.sort(
     (a, b) => new Date(a.dateAdded) - new Date(b.dateAdded)
   );
@@ -222,6 +349,10 @@ async function fetchContactHistory(locationId, contactId, onProgress) {
 module.exports = {
   fetchAllConversations,
   fetchAllMessages,
+  fetchMessage,
   fetchTranscription,
+  fetchRecording,
+  isCompletedCall,
+  listConversations,
   fetchContactHistory,
 };
@@ -0,0 +1,114 @@
+const { zonedTime, localDate } = require("./timezone");
+
+// Standard five-field cron expressions ("minute hour day-of-month month
+// day-of-week"), evaluated in a location's timezone.
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"] },
+  { name: "day of week", min: 0, max: 7, names: ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"] },
+];
+
+// How far ahead to look for the next matching day (covers Feb 29 schedules)
+const MAX_LOOKAHEAD_DAYS = 366 * 5;
+
+function parseValue(value, field) {
+  const index = field.names ? field.names.indexOf(value.toUpperCase()) : -1;
+  if (index !== -1) return index + (field.name === "month" ? 1 : 0);
+  if (!/^\d+$/.test(value)) return NaN;
+  return Number(value);
+}
+
+/**
+ * Parse one field into the sorted list of values it allows.
+ */
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step in ${field.name}: ${part}`);
+
+    let start = field.min;
+    let end = field.max;
+    if (range !== "*") {
+      const [from, to] = range.split("-");
+      start = parseValue(from, field);
+      end = to === undefined ? (stepText === undefined ? start : field.max) : parseValue(to, field);
+    }
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < field.min || end > field.max || start > end) {
+      throw new Error(`Invalid ${field.name}: ${part}`);
+    }
+    for (let v = start; v <= end; v += step) values.add(v);
+  }
+  return [...values].sort((a, b) => a - b);
+}
+
+/**
+ * Parse a cron expression. Returns `{ value }` (the parsed schedule) or
+ * `{ error }`.
+ */
+function parse(expression) {
+  const parts = String(expression || "").trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    return { error: "Schedule must have five fields: minute hour day-of-month month day-of-week" };
+  }
+  try {
+    const [minutes, hours, days, months, weekdays] = parts.map((p, i) => parseField(p, FIELDS[i]));
+    return {
+      value: {
+        minutes,
+        hours,
+        days: new Set(days),
+        months: new Set(months),
+        // 7 is Sunday too
+        weekdays: new Set(weekdays.map((d) => d % 7)),
+        // Cron matches either day field when both are restricted
+        anyDay: parts[2] === "*" || parts[4] === "*",
+      },
+    };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+function dayMatches(schedule, dateStr) {
+  const [year, month, day] = dateStr.split("-").map(Number);
+  if (!schedule.months.has(month)) return false;
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  const domOk = schedule.days.has(day);
+  const dowOk = schedule.weekdays.has(weekday);
+  return schedule.anyDay ? domOk && dowOk : domOk || dowOk;
+}
+
+/**
+ * The first time strictly after `after` that `expression` matches in
+ * `timeZone`, or null if it never does (e.g. "0 0 31 2 *").
+ */
+function nextRun(expression, after, timeZone) {
+  const { value: schedule, error } = parse(expression);
+  if (error) throw new Error(error);
+
+  const from = new Date(after).getTime();
+  let dateStr = localDate(from, timeZone);
+  for (let i = 0; i < MAX_LOOKAHEAD_DAYS; i++) {
+    if (dayMatches(schedule, dateStr)) {
+      for (const hour of schedule.hours) {
+        for (const minute of schedule.minutes) {
+          const instant = zonedTime(dateStr, hour, minute, timeZone);
+          if (instant.getTime() > from) return instant;
+        }
+      }
+    }
+    const [year, month, day] = dateStr.split("-").map(Number);
+    dateStr = new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+  }
+  return null;
+}
+
+module.exports = {
+  parse,
+  nextRun,
+};
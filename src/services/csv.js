@@ -0,0 +1,103 @@
+const fs = require("fs");
+const {
+  messageTypeLabel,
+  getMessageBody,
+  getEmailText,
+  getTranscriptText,
+  getCallDuration,
+  attachmentUrl,
+  attachmentKey,
+  attachmentName,
+} = require("./format");
+const { DEFAULT_TIMEZONE, timezoneLabel } = require("./timezone");
+
+const COLUMNS = [
+  "messageId",
+  "conversationId",
+  "dateAdded",
+  "localTime",
+  "channel",
+  "direction",
+  "status",
+  "from",
+  "to",
+  "subject",
+  "body",
+  "callDuration",
+  "transcription",
+  "recordingFile",
+  "attachments",
+  "attachmentFiles",
+];
+
+function quote(value) {
+  if (value === null || value === undefined) return "";
+  let str = String(value);
+  // Message text is contact-controlled: keep spreadsheet apps from
+  // evaluating it as a formula
+  if (/^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * "YYYY-MM-DD HH:MM:SS ZONE" in the export's timezone, next to the UTC
+ * dateAdded column.
+ */
+function localTimestamp(dateStr, tz) {
+  const local = new Date(dateStr).toLocaleString("sv-SE", { timeZone: tz });
+  return `${local} ${timezoneLabel(dateStr, tz)}`;
+}
+
+/**
+ * Flatten a message into one CSV row. `files` maps attachment URLs to
+ * downloaded files, whose bundle paths fill the attachmentFiles column;
+ * `recordings` does the same for recordingFile, keyed by message ID.
+ */
+function toRow(msg, files, recordings, tz) {
+  const channel = messageTypeLabel(msg);
+  const attachments = (msg.attachments || [])
+    .map((att) => attachmentUrl(att) || attachmentName(att))
+    .join(" | ");
+  const attachmentFiles = (msg.attachments || [])
+    .map((att, index) => files?.get(attachmentKey(msg.id, index))?.path)
+    .filter(Boolean)
+    .join(" | ");
+
+  return {
+    messageId: msg.id,
+    conversationId: msg.conversationId,
+    dateAdded: msg.dateAdded ? new Date(msg.dateAdded).toISOString() : "",
+    localTime: msg.dateAdded ? localTimestamp(msg.dateAdded, tz) : "",
+    channel,
+    direction: msg.direction,
+    status: msg.callStatus || msg.status,
+    from: msg.from,
+    to: Array.isArray(msg.to) ? msg.to.join(", ") : msg.to,
+    subject: msg.subject,
+    body: channel === "Email" ? getEmailText(msg) : getMessageBody(msg),
+    callDuration: getCallDuration(msg),
+    transcription: getTranscriptText(msg),
+    recordingFile: recordings?.get(msg.id)?.path,
+    attachments,
+    attachmentFiles,
+  };
+}
+
+/**
+ * Generate a CSV (one row per message) from contact info and messages.
+ */
+function generateCSV(contact, messages, outputPath, options = {}) {
+  const tz = options.timezone || DEFAULT_TIMEZONE;
+  const lines = [COLUMNS.join(",")];
+  for (const msg of messages) {
+    const row = toRow(msg, options.attachments, options.recordings, tz);
+    lines.push(COLUMNS.map((col) => quote(row[col])).join(","));
+  }
+
+  // BOM so Excel opens the file as UTF-8
+  return fs.promises
+    .writeFile(outputPath, "\uFEFF" + lines.join("\r\n") + "\r\n", "utf-8")
+    .then(() => ({ outputPath }));
+}
+
+module.exports = { generateCSV };
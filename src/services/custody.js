@@ -0,0 +1,148 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const store = require("./store");
+
+const RECORD_VERSION = 1;
+
+/**
+ * Serialize a value as JSON with object keys sorted at every level, so the
+ * same data always produces the same bytes (and the same hash).
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map((v) => canonicalize(v === undefined ? null : v)).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${canonicalize(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function sha256(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+/**
+ * SHA-256 over the canonical form of the exported message list, in export
+ * order. Anyone holding the same messages can recompute it.
+ */
+function hashMessages(messages) {
+  return sha256(canonicalize(messages));
+}
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+/**
+ * Describe what is about to be exported. This is what the PDF's
+ * chain-of-custody page prints; the file hash is added by `sealRecord`
+ * once the file exists.
+ */
+function describeExport({
+  jobId,
+  locationId,
+  contact,
+  messages,
+  exportedBy,
+  filters,
+  format,
+  redaction,
+  attachments,
+  recordings,
+}) {
+  return {
+    version: RECORD_VERSION,
+    jobId,
+    exportedAt: new Date().toISOString(),
+    exportedBy: exportedBy || null,
+    locationId,
+    contact: {
+      id: contact.id,
+      name: contact.name || null,
+      email: contact.email || null,
+      phone: contact.phone || null,
+    },
+    format,
+    filters: filters || {},
+    hashAlgorithm: "SHA-256",
+    messageCount: messages.length,
+    messageSetSha256: hashMessages(messages),
+    messageIds: messages.map((m) => m.id),
+    redaction: redaction || null,
+    attachments: attachments || null,
+    recordings: recordings || null,
+  };
+}
+
+/**
+ * Describe a bulk bundle: one record per contact file, in `items`.
+ */
+function describeBundle({ jobId, locationId, exportedBy, filters, format, items }) {
+  return {
+    version: RECORD_VERSION,
+    jobId,
+    exportedAt: new Date().toISOString(),
+    exportedBy: exportedBy || null,
+    locationId,
+    contact: null,
+    format,
+    filters: filters || {},
+    hashAlgorithm: "SHA-256",
+    messageCount: items.reduce((sum, item) => sum + item.messageCount, 0),
+    items,
+  };
+}
+
+/**
+ * Add the generated file's name, size and hash (plus any renderer details
+ * such as page count and Bates range) to a custody description.
+ */
+async function sealRecord(record, filePath, filename, details = {}) {
+  const { size } = await fs.promises.stat(filePath);
+  return {
+    ...record,
+    ...details,
+    file: { name: filename, sizeBytes: size, sha256: await hashFile(filePath) },
+  };
+}
+
+/**
+ * Record the ZIP a document was shipped in (alongside its attachments).
+ * `file` still describes the document itself.
+ */
+async function sealPackage(record, filePath, filename) {
+  const { size } = await fs.promises.stat(filePath);
+  return {
+    ...record,
+    package: { name: filename, sizeBytes: size, sha256: await hashFile(filePath) },
+  };
+}
+
+/**
+ * Write the sidecar manifest next to the export and keep the record
+ * server-side so it can be produced after the export file has expired.
+ */
+async function saveRecord(record, sidecarPath) {
+  await fs.promises.writeFile(sidecarPath, JSON.stringify(record, null, 2), "utf-8");
+  await store.saveCustodyRecord(record);
+  return record;
+}
+
+module.exports = {
+  canonicalize,
+  hashMessages,
+  hashFile,
+  describeExport,
+  describeBundle,
+  sealRecord,
+  sealPackage,
+  saveRecord,
+};
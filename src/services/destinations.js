@@ -0,0 +1,68 @@
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+const store = require("./store");
+
+// Where scheduled exports are delivered. Each destination type validates
+// the settings saved on a schedule and copies a finished export's files
+// into place; add a type here to support another storage backend.
+
+const MAX_FOLDER_LENGTH = 200;
+const FOLDER_SEGMENT = /^[A-Za-z0-9 _.-]+$/;
+
+function outputRoot() {
+  return config.schedules.outputDir || path.join(store.DATA_DIR, "scheduled");
+}
+
+const DESTINATIONS = {
+  // A folder under SCHEDULE_OUTPUT_DIR, one subtree per location
+  directory: {
+    validate(input) {
+      const folder = String(input.folder || "").trim().replace(/^\/+|\/+$/g, "");
+      if (folder.length > MAX_FOLDER_LENGTH) {
+        return { error: `Folder must be ${MAX_FOLDER_LENGTH} characters or fewer` };
+      }
+      const segments = folder ? folder.split("/") : [];
+      if (segments.some((s) => !FOLDER_SEGMENT.test(s) || s === "." || s === "..")) {
+        return { error: "Folder may only contain letters, numbers, spaces, _ . - and /" };
+      }
+      return { value: { type: "directory", folder } };
+    },
+
+    async deliver(files, destination, { locationId }) {
+      const relative = path.join(locationId, destination.folder);
+      const dir = path.join(outputRoot(), relative);
+      await fs.promises.mkdir(dir, { recursive: true });
+      for (const file of files) {
+        await fs.promises.copyFile(file.path, path.join(dir, file.name));
+      }
+      return { location: relative, files: files.map((f) => f.name) };
+    },
+  },
+};
+
+const TYPES = Object.keys(DESTINATIONS);
+
+/**
+ * Validate a schedule's destination. Returns `{ value }` or `{ error }`.
+ */
+function validateDestination(input = {}) {
+  const type = input.type || "directory";
+  const destination = DESTINATIONS[type];
+  if (!destination) return { error: `Unknown destination type. Use one of: ${TYPES.join(", ")}` };
+  return destination.validate(input);
+}
+
+/**
+ * Copy `files` ({ name, path }) to a schedule's destination. Resolves
+ * `{ location, files }` describing where they went.
+ */
+function deliver(files, destination, context) {
+  return DESTINATIONS[destination.type].deliver(files, destination, context);
+}
+
+module.exports = {
+  TYPES,
+  validateDestination,
+  deliver,
+};
@@ -0,0 +1,96 @@
+const dns = require("dns");
+const net = require("net");
+
+// Outbound requests to URLs that come from outside the app (attachment
+// links in message data, webhook URLs set by location admins) may only
+// reach public addresses, so they can't be used to read internal services
+// such as cloud metadata endpoints. Host names are checked after DNS
+// resolution on every connection, which covers redirects and DNS
+// rebinding; IP literals, which skip DNS, are checked on every hop.
+
+const BLOCKED = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8], // "this" network
+  ["10.0.0.0", 8], // private
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8], // loopback
+  ["169.254.0.0", 16], // link-local, cloud metadata
+  ["172.16.0.0", 12], // private
+  ["192.0.0.0", 24], // protocol assignments
+  ["192.168.0.0", 16], // private
+  ["198.18.0.0", 15], // benchmarking
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4], // reserved, broadcast
+]) {
+  BLOCKED.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 128], // unspecified
+  ["::1", 128], // loopback
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8], // multicast
+]) {
+  BLOCKED.addSubnet(network, prefix, "ipv6");
+}
+
+function blockedError(message) {
+  return Object.assign(new Error(message), { code: "EADDRBLOCKED" });
+}
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked against the
+// IPv4 ranges
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return !BLOCKED.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+/**
+ * Throw unless `url` is http(s) and, when its host is an IP address, a
+ * public one. Host names are checked when they resolve.
+ */
+function assertPublicUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error("Not a valid URL");
+  }
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") throw new Error("Unsupported URL scheme");
+  checkHost(parsed.hostname);
+}
+
+function checkHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host) && !isPublicAddress(host)) throw blockedError(`${host} is not a public address`);
+}
+
+// dns.lookup, failing for names that resolve to any non-public address
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find((entry) => !isPublicAddress(entry.address));
+    if (blocked) return callback(blockedError(`${hostname} resolves to ${blocked.address}, which is not a public address`));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Axios request options that keep a request, and every redirect it
+ * follows, on public addresses. Call `assertPublicUrl` on the URL first.
+ */
+function publicRequestOptions() {
+  return {
+    lookup: publicLookup,
+    beforeRedirect: (options) => checkHost(options.hostname),
+    // A proxy would resolve the target itself, out of reach of the lookup
+    proxy: false,
+  };
+}
+
+module.exports = {
+  assertPublicUrl,
+  publicRequestOptions,
+};
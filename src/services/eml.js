@@ -0,0 +1,222 @@
+const fs = require("fs");
+const crypto = require("crypto");
+const { createZip } = require("./zip");
+const {
+  messageTypeLabel,
+  stripHtml,
+  attachmentName,
+  attachmentUrl,
+  attachmentKey,
+} = require("./format");
+
+const CRLF = "\r\n";
+const MESSAGE_ID_DOMAIN = "ghl-conversation-export";
+
+function isEmail(msg) {
+  return messageTypeLabel(msg) === "Email";
+}
+
+/**
+ * A header value from message data on one line: a CR or LF would start a
+ * new header (e.g. `Bcc:`) or end the header block early.
+ */
+function headerText(value) {
+  return String(value ?? "").replace(/[\r\n]+/g, " ");
+}
+
+/**
+ * RFC 2047 encode a header value if it contains anything outside ASCII.
+ */
+function encodeWord(value) {
+  const str = headerText(value);
+  if (/^[\x00-\x7f]*$/.test(str)) return str;
+  return `=?UTF-8?B?${Buffer.from(str, "utf-8").toString("base64")}?=`;
+}
+
+/**
+ * Encode an address list, keeping the addr-spec readable and only
+ * encoding display names.
+ */
+function encodeAddresses(value) {
+  const list = Array.isArray(value) ? value : String(value || "").split(/\s*,\s*/);
+  return list
+    .filter(Boolean)
+    .map((item) => {
+      const addr = headerText(item);
+      const match = addr.match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/);
+      if (!match) return addr.trim();
+      const name = match[1].trim();
+      return name ? `${encodeWord(name)} <${match[2]}>` : `<${match[2]}>`;
+    })
+    .join(", ");
+}
+
+function rfc5322Date(dateStr) {
+  return new Date(dateStr).toUTCString().replace(/GMT$/, "+0000");
+}
+
+function base64Lines(content) {
+  const encoded = Buffer.from(content, "utf-8").toString("base64");
+  return encoded.match(/.{1,76}/g)?.join(CRLF) || "";
+}
+
+function boundary() {
+  return `----=_Part_${crypto.randomBytes(12).toString("hex")}`;
+}
+
+function textPart(contentType, content) {
+  return [
+    `Content-Type: ${contentType}; charset=UTF-8`,
+    "Content-Transfer-Encoding: base64",
+    "",
+    base64Lines(content),
+  ].join(CRLF);
+}
+
+/**
+ * Attachments that were downloaded for the export are embedded. Others are
+ * referenced by URL (RFC 2017 external-body) so the .eml stays small; the
+ * body of the part repeats the URL for tools that don't understand
+ * external-body.
+ */
+function attachmentPart(att, file) {
+  const url = attachmentUrl(att);
+  const name = attachmentName(att);
+  if (!url) return null;
+  const quotedUrl = url.replace(/"/g, "%22").replace(/\r/g, "%0D").replace(/\n/g, "%0A");
+
+  if (file?.localPath) {
+    return [
+      `Content-Type: ${file.contentType}; name="${encodeWord(name).replace(/"/g, "")}"`,
+      "Content-Transfer-Encoding: base64",
+      `Content-Disposition: attachment; filename="${encodeWord(name).replace(/"/g, "")}"`,
+      "",
+      base64Lines(fs.readFileSync(file.localPath)),
+    ].join(CRLF);
+  }
+
+  return [
+    `Content-Type: message/external-body; access-type=URL; URL="${quotedUrl}"`,
+    `Content-Disposition: attachment; filename="${encodeWord(name).replace(/"/g, "")}"`,
+    "",
+    "Content-Type: application/octet-stream",
+    "",
+    `Attachment not embedded. Source: ${quotedUrl}`,
+  ].join(CRLF);
+}
+
+/**
+ * Wrap MIME parts (each "headers, blank line, body") in a multipart part.
+ */
+function multipartPart(subtype, parts) {
+  const b = boundary();
+  return [
+    `Content-Type: multipart/${subtype}; boundary="${b}"`,
+    "",
+    ...parts.map((p) => `--${b}${CRLF}${p}`),
+    `--${b}--`,
+    "",
+  ].join(CRLF);
+}
+
+/**
+ * Build an RFC 5322 message (with MIME parts) for one GHL email message.
+ */
+function buildEml(msg, contact = {}, files = null) {
+  const html = msg.html || (/<[a-z][\s\S]*>/i.test(msg.body || "") ? msg.body : null);
+  const text = msg.text || (html ? stripHtml(html) : msg.body || "");
+
+  let body = textPart("text/plain", text);
+  if (html) body = multipartPart("alternative", [body, textPart("text/html", html)]);
+
+  const attachments = (msg.attachments || []).map((att, index) => attachmentPart(att, files?.get(attachmentKey(msg.id, index)))).filter(Boolean);
+  if (attachments.length > 0) body = multipartPart("mixed", [body, ...attachments]);
+
+  // Fall back to the contact's address for the side GHL doesn't record
+  const contactAddr = contact.email || undefined;
+  const from = msg.from || (msg.direction === "inbound" ? contactAddr : undefined);
+  const to = msg.to || (msg.direction === "outbound" ? contactAddr : undefined);
+
+  const headers = [
+    from && `From: ${encodeAddresses(from)}`,
+    to && `To: ${encodeAddresses(to)}`,
+    msg.cc && `Cc: ${encodeAddresses(msg.cc)}`,
+    `Subject: ${encodeWord(msg.subject || "")}`,
+    `Date: ${rfc5322Date(msg.dateAdded)}`,
+    `Message-ID: <${headerText(msg.id)}@${MESSAGE_ID_DOMAIN}>`,
+    "MIME-Version: 1.0",
+    `X-GHL-Message-ID: ${headerText(msg.id)}`,
+    msg.conversationId && `X-GHL-Conversation-ID: ${headerText(msg.conversationId)}`,
+    msg.direction && `X-GHL-Direction: ${headerText(msg.direction)}`,
+  ].filter(Boolean);
+
+  // The body part's own headers become the message's content headers
+  return [...headers, body].join(CRLF) + CRLF;
+}
+
+/**
+ * asctime()-style date used on mbox "From " separator lines.
+ */
+function asctime(dateStr) {
+  const d = new Date(dateStr);
+  const [weekday, , month, year, time] = d.toUTCString().replace(",", "").split(" ");
+  return `${weekday} ${month} ${String(d.getUTCDate()).padStart(2, " ")} ${time} ${year}`;
+}
+
+function emlFilename(msg, index) {
+  const date = new Date(msg.dateAdded).toISOString().slice(0, 10);
+  const subject = (msg.subject || "no_subject").replace(/[^a-zA-Z0-9_-]+/g, "_").slice(0, 60);
+  return `${String(index + 1).padStart(4, "0")}_${date}_${subject}.eml`;
+}
+
+/**
+ * Write every email message as its own .eml file inside a ZIP, with an
+ * index.json mapping files back to GHL message IDs.
+ */
+async function generateEmlZip(contact, messages, outputPath, options = {}) {
+  const emails = messages.filter(isEmail);
+  const entries = emails.map((msg, i) => ({
+    name: emlFilename(msg, i),
+    content: buildEml(msg, contact, options.attachments),
+  }));
+
+  const index = {
+    exportedAt: new Date().toISOString(),
+    contact,
+    totalEmails: emails.length,
+    files: emails.map((msg, i) => ({
+      file: entries[i].name,
+      messageId: msg.id,
+      conversationId: msg.conversationId || null,
+      date: msg.dateAdded,
+      subject: msg.subject || null,
+    })),
+  };
+  entries.push({ name: "index.json", content: JSON.stringify(index, null, 2) });
+
+  await createZip(outputPath, entries);
+  return { outputPath };
+}
+
+/**
+ * Write every email message into a single mboxrd archive.
+ */
+async function generateMbox(contact, messages, outputPath, options = {}) {
+  const chunks = messages.filter(isEmail).map((msg) => {
+    const eml = buildEml(msg, contact, options.attachments).replace(/\r\n/g, "\n");
+    // mboxrd: quote any line that looks like a separator
+    const quoted = eml.replace(/^(>*From )/gm, ">$1");
+    const envelope = `From MAILER-DAEMON ${asctime(msg.dateAdded)}`;
+    return `${envelope}\n${quoted}${quoted.endsWith("\n") ? "" : "\n"}\n`;
+  });
+
+  await fs.promises.writeFile(outputPath, chunks.join(""), "utf-8");
+  return { outputPath };
+}
+
+module.exports = {
+  isEmail,
+  buildEml,
+  generateEmlZip,
+  generateMbox,
+};
@@ -0,0 +1,120 @@
+const crypto = require("crypto");
+const config = require("../config");
+
+// Envelope encryption for secrets stored at rest. Each value is encrypted
+// with its own random data key (AES-256-GCM), and the data key is wrapped
+// with a master key named by its key ID. Rotating the master key only
+// re-wraps data keys; the values themselves are never re-encrypted.
+//
+// TOKEN_ENCRYPTION_KEYS is a comma-separated list of `<keyId>:<base64 key>`
+// entries. The first key encrypts; the rest are kept to decrypt values
+// sealed before a rotation.
+
+const ALGORITHM = "aes-256-gcm";
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const VERSION = 1;
+const KEY_ID = /^[A-Za-z0-9_-]{1,32}$/;
+
+function parseKeys(spec) {
+  const keys = new Map();
+  for (const entry of spec.split(",").map((e) => e.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(":");
+    const id = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), "base64");
+    if (separator === -1 || !KEY_ID.test(id)) {
+      throw new Error("TOKEN_ENCRYPTION_KEYS entries must look like <keyId>:<base64 key>");
+    }
+    if (key.length !== KEY_BYTES) {
+      throw new Error(`Encryption key "${id}" must be ${KEY_BYTES} bytes (base64-encoded)`);
+    }
+    if (keys.has(id)) throw new Error(`Encryption key "${id}" is listed twice`);
+    keys.set(id, key);
+  }
+  return keys;
+}
+
+const keys = parseKeys(config.tokens.encryptionKeys);
+const currentKeyId = keys.size > 0 ? keys.keys().next().value : null;
+if (!currentKeyId) {
+  console.warn("TOKEN_ENCRYPTION_KEYS not set, OAuth tokens are stored unencrypted");
+}
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const encrypted = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString("base64");
+}
+
+function unseal(key, sealed, aad) {
+  const buf = Buffer.from(sealed, "base64");
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, buf.subarray(0, IV_BYTES));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(buf.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(buf.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+}
+
+function masterKey(keyId) {
+  const key = keys.get(keyId);
+  if (!key) throw new Error(`Encryption key "${keyId}" is not configured in TOKEN_ENCRYPTION_KEYS`);
+  return key;
+}
+
+function isEnabled() {
+  return currentKeyId !== null;
+}
+
+function isEnvelope(value) {
+  return Boolean(value && value.v === VERSION && value.kid && value.key && value.data);
+}
+
+/**
+ * Encrypt a JSON-serialisable value. `context` (e.g. the location ID) is
+ * authenticated with it, so a sealed value can't be moved to another record.
+ */
+function encrypt(value, context) {
+  const dataKey = crypto.randomBytes(KEY_BYTES);
+  return {
+    v: VERSION,
+    kid: currentKeyId,
+    key: seal(masterKey(currentKeyId), dataKey, currentKeyId),
+    data: seal(dataKey, JSON.stringify(value), context),
+  };
+}
+
+function decrypt(envelope, context) {
+  const key = masterKey(envelope.kid);
+  try {
+    const dataKey = unseal(key, envelope.key, envelope.kid);
+    return JSON.parse(unseal(dataKey, envelope.data, context).toString("utf-8"));
+  } catch {
+    throw new Error(`Stored value could not be decrypted with key "${envelope.kid}" (wrong key or tampered data)`);
+  }
+}
+
+/**
+ * Whether an envelope was sealed with a key other than the current one.
+ */
+function needsRewrap(envelope) {
+  return envelope.kid !== currentKeyId;
+}
+
+/**
+ * Re-wrap an envelope's data key with the current master key.
+ */
+function rewrap(envelope) {
+  const dataKey = unseal(masterKey(envelope.kid), envelope.key, envelope.kid);
+  return { ...envelope, kid: currentKeyId, key: seal(masterKey(currentKeyId), dataKey, currentKeyId) };
+}
+
+module.exports = {
+  isEnabled,
+  isEnvelope,
+  encrypt,
+  decrypt,
+  needsRewrap,
+  rewrap,
+};
@@ -0,0 +1,500 @@
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+const store = require("./store");
+const ghl = require("./ghl");
+const jobs = require("./jobs");
+const conversations = require("./conversations");
+const contacts = require("./contacts");
+const renderers = require("./renderers");
+const custody = require("./custody");
+const redaction = require("./redaction");
+const filters = require("./filters");
+const settings = require("./settings");
+const attachments = require("./attachments");
+const recordings = require("./recordings");
+const timezone = require("./timezone");
+const webhooks = require("./webhooks");
+const audit = require("./audit");
+const { createZip } = require("./zip");
+const { getMessageBody, getEmailText, getTranscriptText, attachmentName, attachmentUrl, attachmentKey } = require("./format");
+
+function safeFilename(name) {
+  return (name || "export").replace(/[^a-zA-Z0-9_-]/g, "_");
+}
+
+/**
+ * Keep messages between the start of `startDate` and the end of `endDate`,
+ * both calendar days in `timeZone`.
+ */
+function filterByDateRange(messages, dateRange = {}, timeZone = timezone.DEFAULT_TIMEZONE) {
+  let filtered = messages;
+  if (dateRange.startDate) {
+    const start = timezone.startOfDay(dateRange.startDate, timeZone);
+    filtered = filtered.filter((m) => new Date(m.dateAdded) >= start);
+  }
+  if (dateRange.endDate) {
+    const end = timezone.endOfDay(dateRange.endDate, timeZone);
+    filtered = filtered.filter((m) => new Date(m.dateAdded) <= end);
+  }
+  return filtered;
+}
+
+/**
+ * The timezone an export is shown in: the one chosen for the export, or
+ * the location's own.
+ */
+async function timezoneFor(job) {
+  return job.params.timezone || timezone.getLocationTimezone(job.locationId);
+}
+
+function stringValue(value) {
+  return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+/**
+ * Make sure nothing a redaction rule matches is left in what renderers
+ * show of the contact and messages. Fails the export rather than writing
+ * one that leaks.
+ */
+function checkRedacted(contact, messages, rules) {
+  const texts = [
+    { where: "the contact's email", text: contact.email },
+    { where: "the contact's phone", text: contact.phone },
+  ];
+  for (const msg of messages) {
+    const where = `message ${msg.id}`;
+    texts.push(
+      { where, text: getMessageBody(msg) },
+      { where, text: getEmailText(msg) },
+      { where, text: getTranscriptText(msg) },
+      // Raw values, as the JSON export writes them
+      ...redaction.TEXT_FIELDS.map((field) => ({ where, text: stringValue(msg[field]) })),
+      ...redaction.ADDRESS_FIELDS.map((field) => ({ where, text: [msg[field]].flat().join(", ") })),
+      ...(msg.attachments || []).map((att) => ({ where, text: `${attachmentName(att)} ${attachmentUrl(att) || ""}` }))
+    );
+  }
+
+  const leftover = redaction.findUnredacted(texts, rules);
+  if (leftover) {
+    throw new Error(`Redaction check failed: ${leftover.label} still found in ${leftover.where}, export stopped`);
+  }
+}
+
+function sidecarPath(filePath) {
+  return `${filePath}.manifest.json`;
+}
+
+/**
+ * Fetch and filter one contact's history and render it to `filePath` with
+ * the given renderer. Returns the exported messages, their count, the
+ * sealed chain-of-custody record for the file, and any downloaded
+ * attachment and recording files (`{ name, path }`, named relative to the
+ * directory holding `filePath`) that belong in the same bundle.
+ * `bundleSubdir` keeps one contact's files apart from another's in a
+ * multi-contact bundle.
+ */
+async function exportContact(job, contact, options, filePath, onProgress) {
+  const {
+    dateRange = {},
+    timeZone,
+    renderer,
+    production = {},
+    layout = {},
+    redactionRules = [],
+    messageFilters,
+    contentFilters = {},
+    includeAttachments = false,
+    includeRecordings = false,
+    branding = null,
+    bundleSubdir = "",
+  } = options;
+  const bundleDir = path.dirname(filePath);
+  const history = await conversations.fetchContactHistory(job.locationId, contact.id, onProgress, messageFilters);
+  const filtered = filters.applyExportFilters(filterByDateRange(history, dateRange, timeZone), contentFilters);
+  const selected = renderer.includes ? filtered.filter(renderer.includes) : filtered;
+  const { messages, log: messageLog } = redaction.redactMessages(selected, redactionRules);
+  const { contact: shownContact, log: contactLog } = redaction.redactContact(contact, redactionRules);
+  const redactionLog = [...contactLog, ...messageLog];
+  if (redactionRules.length > 0) checkRedacted(shownContact, messages, redactionRules);
+
+  const downloaded = includeAttachments
+    ? await attachments.downloadAttachments(messages, bundleDir, {
+        prefix: path.posix.join("attachments", bundleSubdir),
+        originals: selected,
+        onProgress,
+      })
+    : [];
+  const calls = includeRecordings
+    ? await recordings.downloadRecordings(job.locationId, messages, bundleDir, {
+        prefix: path.posix.join("recordings", bundleSubdir),
+        onProgress,
+      })
+    : [];
+
+  const record = custody.describeExport({
+    jobId: job.id,
+    locationId: job.locationId,
+    contact: shownContact,
+    messages,
+    exportedBy: job.exportedBy,
+    filters: { dateRange, timezone: timeZone, ...contentFilters, messages: filters.describe(messageFilters) },
+    format: renderer.format,
+    redaction: redactionRules.length > 0
+      ? { rules: redactionRules.map((r) => r.label), totals: redaction.summarize(redactionLog), log: redactionLog }
+      : null,
+    attachments: includeAttachments ? attachments.describeFiles(downloaded) : null,
+    recordings: includeRecordings ? attachments.describeFiles(calls) : null,
+  });
+
+  if (onProgress) {
+    onProgress({ phase: "rendering", format: renderer.format, totalMessages: messages.length });
+  }
+  const rendered = await renderer.render(shownContact, messages, filePath, {
+    dateRange,
+    timezone: timeZone,
+    filters: contentFilters,
+    custody: record,
+    bates: production.bates || null,
+    legend: production.legend || null,
+    tableOfContents: Boolean(layout.tableOfContents),
+    conversationSections: Boolean(layout.conversationSections),
+    redactionLog: redactionRules.length > 0 ? redactionLog : null,
+    attachments: includeAttachments ? new Map(downloaded.map((a) => [attachmentKey(a.messageId, a.index), a])) : null,
+    recordings: includeRecordings ? new Map(calls.map((r) => [r.messageId, r])) : null,
+    branding,
+  });
+
+  const sealed = await custody.sealRecord(record, filePath, path.basename(filePath), {
+    pageCount: rendered.pageCount ?? null,
+    bates: rendered.bates ? { first: rendered.bates.first, last: rendered.bates.last } : null,
+  });
+  const files = new Map();
+  for (const f of [...downloaded, ...calls]) {
+    if (f.localPath) files.set(f.path, { name: f.path, path: f.localPath });
+  }
+  return {
+    messageCount: messages.length,
+    messages,
+    custody: sealed,
+    bates: rendered.bates || null,
+    files: [...files.values()],
+  };
+}
+
+/**
+ * Redaction rules for a job: the location's saved settings combined with
+ * the export's own choices. Empty when redaction wasn't requested.
+ */
+function redactionRulesFor(job, locationSettings) {
+  const options = job.params.redaction;
+  if (!options?.enabled) return [];
+  return redaction.buildRules(locationSettings.redaction, options);
+}
+
+/**
+ * Single-contact export job.
+ */
+async function runExport(job) {
+  const { contact, dateRange = {}, filters: contentFilters, format, production, layout, includeAttachments, includeRecordings } = job.params;
+  const renderer = renderers.getRenderer(format);
+  const locationSettings = await settings.getLocationSettings(job.locationId);
+  const redactionRules = redactionRulesFor(job, locationSettings);
+  const messageFilters = locationSettings.filters;
+  const timeZone = await timezoneFor(job);
+  const exportsDir = store.ensureExportsDir();
+  const baseName = `${safeFilename(contact.name)}_${job.id.slice(0, 8)}`;
+  const docName = `${baseName}.${renderer.extension}`;
+
+  // With attachments or recordings the document is built in a work
+  // directory and shipped in a ZIP next to the files it references
+  const workDir = includeAttachments || includeRecordings ? path.join(exportsDir, job.id) : null;
+  if (workDir) fs.mkdirSync(workDir, { recursive: true });
+
+  try {
+    const result = await exportContact(
+      job,
+      { ...contact, id: job.contactId },
+      {
+        dateRange,
+        timeZone,
+        renderer,
+        production,
+        layout,
+        redactionRules,
+        messageFilters,
+        contentFilters,
+        includeAttachments,
+        includeRecordings,
+        branding: locationSettings.branding,
+      },
+      path.join(workDir || exportsDir, docName),
+      (progress) => jobs.setProgress(job, progress)
+    );
+    const { messageCount } = result;
+
+    let filename = docName;
+    let record = result.custody;
+    if (workDir) {
+      jobs.setProgress(job, { phase: "packaging", totalMessages: messageCount });
+      filename = `${baseName}.zip`;
+      await createZip(path.join(exportsDir, filename), [
+        { name: docName, path: path.join(workDir, docName) },
+        ...result.files,
+        { name: "manifest.json", content: JSON.stringify(record, null, 2) },
+      ]);
+      record = await custody.sealPackage(record, path.join(exportsDir, filename), filename);
+    }
+    const filePath = path.join(exportsDir, filename);
+
+    const manifestPath = sidecarPath(filePath);
+    await custody.saveRecord(record, manifestPath);
+
+    await jobs.updateJob(job, {
+      filePath,
+      filename,
+      manifestPath,
+      sha256: (record.package || record.file).sha256,
+      status: "complete",
+      progress: {
+        phase: "complete",
+        totalMessages: messageCount,
+      },
+    });
+
+    console.log(`Export complete: ${filename} (${messageCount} messages)`);
+  } finally {
+    if (workDir) fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+function bundleBatesRange(records) {
+  const stamped = records.filter((r) => r.bates);
+  if (stamped.length === 0) return null;
+  return { first: stamped[0].bates.first, last: stamped[stamped.length - 1].bates.last };
+}
+
+function manifestCsv(entries) {
+  const cols = ["contactId", "name", "email", "phone", "file", "messageCount", "attachments", "recordings", "batesFirst", "batesLast", "sha256", "messageSetSha256", "status", "error"];
+  const quote = (v) => {
+    let str = String(v ?? "");
+    // Contact names are user-entered: keep spreadsheet apps from evaluating them
+    if (/^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+    return `"${str.replace(/"/g, '""')}"`;
+  };
+  return [cols.join(","), ...entries.map((e) => cols.map((c) => quote(e[c])).join(","))].join("\n");
+}
+
+/**
+ * Bulk export job: one file per contact, bundled into a ZIP with an index
+ * manifest. A contact that fails is recorded in the manifest rather than
+ * failing the whole bundle.
+ */
+async function runBulkExport(job) {
+  const {
+    selection,
+    dateRange = {},
+    filters: contentFilters,
+    format,
+    production = {},
+    layout,
+    includeAttachments,
+    includeRecordings,
+  } = job.params;
+  const renderer = renderers.getRenderer(format);
+  const locationSettings = await settings.getLocationSettings(job.locationId);
+  const redactionRules = redactionRulesFor(job, locationSettings);
+  const messageFilters = locationSettings.filters;
+  const timeZone = await timezoneFor(job);
+
+  jobs.setProgress(job, { phase: "resolving_contacts" });
+  const targets = await contacts.resolveContacts(
+    job.locationId,
+    selection,
+    config.exports.bulkMaxContacts
+  );
+  if (targets.length === 0) throw new Error("No contacts matched the selection");
+
+  const exportsDir = store.ensureExportsDir();
+  const workDir = path.join(exportsDir, job.id);
+  fs.mkdirSync(workDir, { recursive: true });
+
+  const manifest = [];
+  const records = [];
+  const bundledFiles = [];
+  let totalMessages = 0;
+  // Bates numbers continue from one contact's file to the next
+  let nextBates = production.bates ? production.bates.start : null;
+
+  try {
+    for (let i = 0; i < targets.length; i++) {
+      const contact = targets[i];
+      const stem = `${String(i + 1).padStart(3, "0")}_${safeFilename(contact.name)}`;
+      const file = `${stem}.${renderer.extension}`;
+      const shown = redaction.redactContact(contact, redactionRules).contact;
+      const entry = { contactId: contact.id, name: contact.name, email: shown.email, phone: shown.phone, file };
+
+      const onProgress = (detail) =>
+        jobs.setProgress(job, {
+          phase: "bulk",
+          totalContacts: targets.length,
+          completedContacts: i,
+          contactName: contact.name,
+          detail,
+          totalMessages,
+        });
+      onProgress({ phase: "starting" });
+
+      try {
+        const result = await exportContact(
+          job,
+          contact,
+          {
+            dateRange,
+            timeZone,
+            renderer,
+            layout,
+            redactionRules,
+            messageFilters,
+            contentFilters,
+            includeAttachments,
+            includeRecordings,
+            branding: locationSettings.branding,
+            bundleSubdir: stem,
+            production: {
+              ...production,
+              bates: production.bates ? { ...production.bates, start: nextBates } : null,
+            },
+          },
+          path.join(workDir, file),
+          onProgress
+        );
+        const { messageCount } = result;
+        records.push(result.custody);
+        bundledFiles.push(...result.files);
+        if (result.bates) nextBates = result.bates.next;
+        Object.assign(entry, {
+          messageCount,
+          batesFirst: result.bates?.first,
+          batesLast: result.bates?.last,
+          sha256: result.custody.file.sha256,
+          messageSetSha256: result.custody.messageSetSha256,
+          attachments: includeAttachments ? result.custody.attachments.filter((a) => a.path).length : undefined,
+          recordings: includeRecordings ? result.custody.recordings.filter((r) => r.path).length : undefined,
+          status: "complete",
+        });
+        totalMessages += messageCount;
+      } catch (err) {
+        // No other contact can succeed either
+        if (err.code === ghl.REINSTALL_REQUIRED) throw err;
+        console.error(`Bulk job ${job.id}: contact ${contact.id} failed:`, err.message);
+        Object.assign(entry, { file: null, messageCount: 0, status: "failed", error: err.message });
+      }
+      manifest.push(entry);
+    }
+
+    if (manifest.every((e) => e.status === "failed")) {
+      throw new Error("Every contact in the bulk export failed");
+    }
+
+    jobs.setProgress(job, { phase: "packaging", totalContacts: targets.length, totalMessages });
+
+    const filename = `bulk_export_${job.id.slice(0, 8)}.zip`;
+    const filePath = path.join(exportsDir, filename);
+    const index = {
+      jobId: job.id,
+      locationId: job.locationId,
+      exportedAt: new Date().toISOString(),
+      dateRange,
+      timezone: timeZone,
+      filters: contentFilters || {},
+      messageFilters: filters.describe(messageFilters),
+      format: renderer.format,
+      selection,
+      production,
+      includeAttachments: Boolean(includeAttachments),
+      includeRecordings: Boolean(includeRecordings),
+      totalContacts: manifest.length,
+      totalMessages,
+      contacts: manifest,
+    };
+
+    await createZip(filePath, [
+      ...manifest.filter((e) => e.file).map((e) => ({ name: e.file, path: path.join(workDir, e.file) })),
+      ...bundledFiles,
+      { name: "manifest.json", content: JSON.stringify(index, null, 2) },
+      { name: "manifest.csv", content: manifestCsv(manifest) },
+    ]);
+
+    // The bundle's record covers the ZIP itself plus each contact's file
+    const bundleRecord = await custody.sealRecord(
+      custody.describeBundle({
+        jobId: job.id,
+        locationId: job.locationId,
+        exportedBy: job.exportedBy,
+        filters: { dateRange, timezone: timeZone, ...contentFilters, selection, messages: filters.describe(messageFilters) },
+        format: renderer.format,
+        items: records,
+      }),
+      filePath,
+      filename,
+      { bates: bundleBatesRange(records) }
+    );
+    const manifestPath = sidecarPath(filePath);
+    await custody.saveRecord(bundleRecord, manifestPath);
+
+    await jobs.updateJob(job, {
+      filePath,
+      filename,
+      manifestPath,
+      sha256: bundleRecord.file.sha256,
+      status: "complete",
+      progress: {
+        phase: "complete",
+        totalContacts: manifest.length,
+        failedContacts: manifest.filter((e) => e.status === "failed").length,
+        totalMessages,
+      },
+    });
+
+    console.log(`Bulk export complete: ${filename} (${manifest.length} contacts, ${totalMessages} messages)`);
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+const RUNNERS = {
+  contact: runExport,
+  bulk: runBulkExport,
+};
+
+/**
+ * Run a job with the worker for its type, notifying the location's webhook
+ * as it starts and settles and auditing the outcome.
+ */
+async function run(job) {
+  const runner = RUNNERS[job.type || "contact"];
+  if (!runner) throw new Error(`Unknown job type: ${job.type}`);
+
+  webhooks.notify(job, "export.started");
+  try {
+    await runner(job);
+  } catch (err) {
+    audit.recordJob(job, "export.failed", { error: err.message });
+    webhooks.notify(job, "export.failed", { error: err.message });
+    throw err;
+  }
+  audit.recordJob(job, "export.completed", {
+    filename: job.filename,
+    sha256: job.sha256 || null,
+    messageCount: job.progress?.totalMessages ?? null,
+  });
+  webhooks.notify(job, "export.completed");
+}
+
+module.exports = {
+  run,
+  runExport,
+  runBulkExport,
+  filterByDateRange,
+};
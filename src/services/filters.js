@@ -0,0 +1,188 @@
+// Which fetched GHL messages count as conversation (vs. CRM activity and
+// workflow noise), configurable per location, plus the channel, direction
+// and keyword filters chosen for a single export.
+
+const { messageTypeLabel, stripHtml, getTranscriptText } = require("./format");
+const { escapeRegex } = require("./redaction");
+
+// Channel labels (from messageTypeLabel) an export can be limited to
+const CHANNELS = ["SMS", "Email", "Call", "WhatsApp", "Facebook", "Instagram", "Live Chat"];
+
+const MAX_CUSTOM_PATTERNS = 25;
+const MAX_PATTERN_LENGTH = 200;
+
+// Built-in text patterns for system messages GHL logs into conversations
+const SYSTEM_PATTERNS = [
+  /^opportunity\s+(created|updated|deleted|moved|won|lost|abandoned|status changed)/i,
+  /^contact\s+(created|updated|deleted|tagged|untagged)/i,
+  /^task\s+(created|completed|deleted)/i,
+  /^note\s+(created|updated|deleted)/i,
+  /^appointment\s+(created|updated|cancelled|deleted|scheduled|rescheduled)/i,
+  /^invoice\s+(created|sent|paid|voided)/i,
+  /^payment\s+(received|failed|refunded)/i,
+  /^workflow\s+/i,
+  /^pipeline\s+/i,
+];
+
+const DEFAULTS = {
+  // Keep ACTIVITY-type messages (opportunity, appointment, ... events)
+  activityMessages: false,
+  // Also count every TYPE_ACTIVITY_* message type as activity, not just
+  // messages typed "ACTIVITY"
+  activityTypePrefix: false,
+  // Drop messages matching SYSTEM_PATTERNS
+  systemPatterns: true,
+  // Keep internal comments left by staff on the conversation, which
+  // exports have always included
+  internalNotes: true,
+  // Extra regexes; matching messages are dropped
+  patterns: [],
+};
+
+function isActivity(m, rules) {
+  if (m.messageType === "ACTIVITY" || m.contentType === "ACTIVITY") return true;
+  return rules.activityTypePrefix && /^TYPE_ACTIVITY/.test(m.messageType || "");
+}
+
+function isInternalNote(m) {
+  return /INTERNAL_COMMENT/.test(m.messageType || "") || /INTERNAL_COMMENT/.test(String(m.type || ""));
+}
+
+/**
+ * Validate a location's filter settings. Returns `{ value }` or `{ error }`.
+ */
+function validateSettings(input = {}) {
+  const value = { ...DEFAULTS };
+  for (const key of ["activityMessages", "activityTypePrefix", "systemPatterns", "internalNotes"]) {
+    if (key in input) value[key] = Boolean(input[key]);
+  }
+
+  const patterns = (input.patterns || []).map((p) => String(p).trim()).filter(Boolean);
+  if (patterns.length > MAX_CUSTOM_PATTERNS) {
+    return { error: `At most ${MAX_CUSTOM_PATTERNS} custom filter patterns are allowed` };
+  }
+  for (const p of patterns) {
+    if (p.length > MAX_PATTERN_LENGTH) {
+      return { error: `Filter patterns must be ${MAX_PATTERN_LENGTH} characters or fewer` };
+    }
+    try {
+      new RegExp(p, "i");
+    } catch (err) {
+      return { error: `Invalid filter pattern ${JSON.stringify(p)}: ${err.message}` };
+    }
+  }
+  value.patterns = patterns;
+
+  return { value };
+}
+
+/**
+ * Drop messages that aren't part of the conversation according to a
+ * location's filter settings (defaults when omitted).
+ */
+function filterMessages(messages, settings = DEFAULTS) {
+  const rules = { ...DEFAULTS, ...settings };
+  const custom = rules.patterns.map((p) => new RegExp(p, "i"));
+
+  return messages.filter((m) => {
+    const activity = isActivity(m, rules);
+    if (activity) {
+      if (!rules.activityMessages) return false;
+    } else if (isInternalNote(m)) {
+      if (!rules.internalNotes) return false;
+    } else if (m.direction !== "inbound" && m.direction !== "outbound") {
+      // Must have a real direction
+      return false;
+    }
+
+    // Skip messages with no real content
+    const body = m.body || m.text || m.message || m.html || "";
+    if (!body && m.messageType !== "CALL" && !activity) return false;
+
+    // Skip known system message patterns and the location's own
+    const text = (typeof body === "string" ? body : "").trim();
+    if (rules.systemPatterns && !activity && SYSTEM_PATTERNS.some((p) => p.test(text))) return false;
+    if (custom.some((p) => p.test(text))) return false;
+
+    return true;
+  });
+}
+
+/**
+ * The rules an export applied, as recorded in its custody metadata.
+ */
+function describe(settings = DEFAULTS) {
+  const { activityMessages, activityTypePrefix, systemPatterns, internalNotes, patterns } = { ...DEFAULTS, ...settings };
+  return { activityMessages, activityTypePrefix, systemPatterns, internalNotes, excludePatterns: patterns };
+}
+
+// --- Per-export filters ---
+
+/**
+ * Case-insensitive regex matching any of `keywords`, or null without any.
+ */
+function keywordPattern(keywords = []) {
+  if (keywords.length === 0) return null;
+  return new RegExp(keywords.map(escapeRegex).join("|"), "gi");
+}
+
+// All the text a reviewer would see for a message
+function searchableText(m) {
+  return [m.subject, m.body, m.text, m.message, m.html && stripHtml(m.html), getTranscriptText(m)]
+    .filter((t) => typeof t === "string" && t)
+    .join("\n");
+}
+
+/**
+ * Keep messages on one of `channels` (labels from messageTypeLabel), in
+ * `direction` and mentioning any of `keywords`. Unset filters keep everything.
+ */
+function applyExportFilters(messages, { channels = [], direction = null, keywords = [] } = {}) {
+  const wanted = new Set(channels.map((c) => c.toLowerCase()));
+  const pattern = keywordPattern(keywords);
+
+  return messages.filter((m) => {
+    if (wanted.size > 0 && !wanted.has(messageTypeLabel(m).toLowerCase())) return false;
+    if (direction && m.direction !== direction) return false;
+    if (pattern) {
+      pattern.lastIndex = 0;
+      if (!pattern.test(searchableText(m))) return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Whether any per-export filter is set.
+ */
+function hasExportFilters({ channels = [], direction = null, keywords = [] } = {}) {
+  return channels.length > 0 || Boolean(direction) || keywords.length > 0;
+}
+
+/**
+ * Human-readable list of an export's active filters (date range included),
+ * for cover pages and headers. Empty when nothing was filtered.
+ */
+function describeExportFilters({ channels = [], direction = null, keywords = [] } = {}, dateRange = {}) {
+  const lines = [];
+  if (dateRange.startDate || dateRange.endDate) {
+    lines.push(`Dates: ${dateRange.startDate || "beginning"} to ${dateRange.endDate || "latest"}`);
+  }
+  if (channels.length > 0) lines.push(`Channels: ${channels.join(", ")}`);
+  if (direction) lines.push(`Direction: ${direction} only`);
+  if (keywords.length > 0) lines.push(`Keywords: ${keywords.map((k) => `"${k}"`).join(", ")}`);
+  return lines;
+}
+
+module.exports = {
+  DEFAULTS,
+  CHANNELS,
+  SYSTEM_PATTERNS,
+  validateSettings,
+  filterMessages,
+  describe,
+  keywordPattern,
+  applyExportFilters,
+  hasExportFilters,
+  describeExportFilters,
+};
@@ -0,0 +1,162 @@
+const path = require("path");
+const fontkit = require("fontkit");
+
+// Unicode fonts for PDF exports. PDFKit's built-in Helvetica only covers
+// Latin-1, so exports embed the Noto families below (the Google Fonts
+// builds, as packaged by @expo-google-fonts) and split text into runs by
+// glyph: each character is drawn with the first font in the fallback chain
+// that has it.
+//
+// Families, in fallback order. A style a family doesn't have falls back to
+// its regular font.
+const FAMILIES = [
+  {
+    pkg: "noto-sans",
+    files: {
+      regular: "400Regular/NotoSans_400Regular.ttf",
+      bold: "700Bold/NotoSans_700Bold.ttf",
+      italic: "400Regular_Italic/NotoSans_400Regular_Italic.ttf",
+    },
+  },
+  {
+    pkg: "noto-sans-arabic",
+    files: { regular: "400Regular/NotoSansArabic_400Regular.ttf", bold: "700Bold/NotoSansArabic_700Bold.ttf" },
+  },
+  {
+    pkg: "noto-sans-hebrew",
+    files: { regular: "400Regular/NotoSansHebrew_400Regular.ttf", bold: "700Bold/NotoSansHebrew_700Bold.ttf" },
+  },
+  {
+    pkg: "noto-sans-sc",
+    files: { regular: "400Regular/NotoSansSC_400Regular.ttf", bold: "700Bold/NotoSansSC_700Bold.ttf" },
+  },
+  // Monochrome outlines: PDFs can't embed color bitmap emoji
+  { pkg: "noto-emoji", files: { regular: "400Regular/NotoEmoji_400Regular.ttf" }, emoji: true },
+];
+
+const STYLES = ["regular", "bold", "italic"];
+
+// Used for everything when Noto Sans isn't installed
+const STANDARD = { regular: "Helvetica", bold: "Helvetica-Bold", italic: "Helvetica-Oblique" };
+
+// Clusters shown as emoji (by default, or asked for with VS16 or a keycap)
+// come from the emoji font even when a text font has a glyph for them
+const EMOJI = /\p{Emoji_Presentation}|\uFE0F|\u20E3/u;
+// Joiners and variation selectors: kept when the cluster's font has them,
+// dropped otherwise
+const IGNORABLE = /\p{Default_Ignorable_Code_Point}/u;
+const LETTER = /\p{L}/u;
+
+const graphemes = new Intl.Segmenter(undefined, { granularity: "grapheme" });
+
+/**
+ * Find each family's font file for every style. Families whose package
+ * isn't installed are left out of the chains.
+ */
+function loadChains() {
+  const chains = { regular: [], bold: [], italic: [], emoji: [] };
+  for (const family of FAMILIES) {
+    let dir;
+    try {
+      dir = path.dirname(require.resolve(`@expo-google-fonts/${family.pkg}/package.json`));
+    } catch {
+      console.warn(`Font package @expo-google-fonts/${family.pkg} not installed, PDFs fall back without it`);
+      continue;
+    }
+
+    // Styles share a face when they use the same file
+    const faces = new Map();
+    for (const style of STYLES) {
+      const file = path.join(dir, family.files[style] || family.files.regular);
+      if (!faces.has(file)) faces.set(file, { file, family: family.pkg, emoji: Boolean(family.emoji), font: null });
+      chains[style].push(faces.get(file));
+    }
+    if (family.emoji) chains.emoji.push(faces.get(path.join(dir, family.files.regular)));
+  }
+  return chains;
+}
+
+const chains = loadChains();
+const available = chains.regular[0]?.family === "noto-sans";
+if (!available) console.warn("Noto Sans not installed, PDFs use Helvetica and only show Latin-1 text");
+
+function openFace(face) {
+  if (!face.font) face.font = fontkit.openSync(face.file);
+  return face.font;
+}
+
+function hasGlyph(face, codePoint) {
+  return openFace(face).hasGlyphForCodePoint(codePoint);
+}
+
+// Chosen face per style and code point, for text and for emoji
+const lookups = {
+  text: { regular: new Map(), bold: new Map(), italic: new Map() },
+  emoji: { regular: new Map(), bold: new Map(), italic: new Map() },
+};
+
+/**
+ * The first face in `style`'s fallback chain that can draw `codePoint`
+ * (trying the emoji font first for emoji), or null.
+ */
+function faceFor(codePoint, style, emoji) {
+  const cache = lookups[emoji ? "emoji" : "text"][style];
+  if (!cache.has(codePoint)) {
+    const chain = emoji ? [...chains.emoji, ...chains[style]] : chains[style];
+    cache.set(codePoint, chain.find((face) => hasGlyph(face, codePoint)) || null);
+  }
+  return cache.get(codePoint);
+}
+
+/**
+ * The font to pass to `doc.font()` for text that is always Latin (labels,
+ * dates, IDs): Noto Sans, or Helvetica without it.
+ */
+function baseFont(style = "regular") {
+  return available ? chains[style][0].file : STANDARD[style];
+}
+
+/**
+ * Split text into runs that can each be drawn with one font:
+ * `[{ text, font, metrics }]`, where `font` is a path for `doc.font()` and
+ * `metrics` the fontkit font (for line heights). Each grapheme cluster
+ * (a letter and its accents, or a whole emoji sequence) is drawn with one
+ * font, chosen by its first character. Whitespace and punctuation stay in
+ * the current text run when its font has them, so runs only break where
+ * the script changes. Characters no font has are drawn with the base font.
+ */
+function splitRuns(text, style = "regular") {
+  if (!available) return text ? [{ text, font: STANDARD[style] }] : [];
+
+  const runs = [];
+  let current = null;
+  for (const { segment } of graphemes.segment(text)) {
+    const codePoint = segment.codePointAt(0);
+    const emoji = EMOJI.test(segment);
+    let face;
+    if (IGNORABLE.test(segment[0]) && !emoji) {
+      if (!current) continue;
+      face = current.face;
+    } else if (current && !current.face.emoji && !emoji && !LETTER.test(segment) && hasGlyph(current.face, codePoint)) {
+      face = current.face;
+    } else {
+      face = faceFor(codePoint, style, emoji) || chains[style][0];
+    }
+
+    const drawn = [...segment].filter((char) => !IGNORABLE.test(char) || hasGlyph(face, char.codePointAt(0))).join("");
+    if (!drawn) continue;
+    if (current?.face === face) {
+      current.text += drawn;
+    } else {
+      current = { text: drawn, face };
+      runs.push(current);
+    }
+  }
+  return runs.map(({ text: runText, face }) => ({ text: runText, font: face.file, metrics: openFace(face) }));
+}
+
+module.exports = {
+  available,
+  baseFont,
+  splitRuns,
+};
@@ -0,0 +1,163 @@
+const { convert } = require("html-to-text");
+const { MARKER, escapeRegex } = require("./redaction");
+
+// Shared message formatting used by every export renderer. Date helpers
+// take an IANA timezone (e.g. "America/New_York"); without one they use
+// the server's local zone.
+
+function formatDate(dateStr, timeZone) {
+  const d = new Date(dateStr);
+  return d.toLocaleDateString("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+  });
+}
+
+function formatTime(dateStr, timeZone) {
+  const d = new Date(dateStr);
+  return d.toLocaleTimeString("en-US", {
+    timeZone,
+    hour: "numeric",
+    minute: "2-digit",
+    hour12: true,
+  });
+}
+
+function formatFullDate(dateStr, timeZone) {
+  const d = new Date(dateStr);
+  return d.toLocaleDateString("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+}
+
+function formatDuration(seconds) {
+  if (!seconds || seconds <= 0) return "0s";
+  const m = Math.floor(seconds / 60);
+  const s = seconds % 60;
+  if (m === 0) return `${s}s`;
+  return `${m}m ${s}s`;
+}
+
+function channelLabel(type) {
+  if (!type || typeof type !== "string") return "Message";
+  const map = {
+    TYPE_SMS: "SMS",
+    TYPE_EMAIL: "Email",
+    TYPE_CALL: "Call",
+    TYPE_WHATSAPP: "WhatsApp",
+    TYPE_FB_MESSENGER: "Facebook",
+    TYPE_IG_DM: "Instagram",
+    TYPE_LIVE_CHAT: "Live Chat",
+    TYPE_CUSTOM_SMS: "SMS",
+    TYPE_CUSTOM_EMAIL: "Email",
+  };
+  if (map[type]) return map[type];
+  if (type.startsWith("TYPE_"))
+    return type.replace("TYPE_", "").replace(/_/g, " ");
+  return type;
+}
+
+function messageTypeLabel(msg) {
+  if (msg.messageType === "CALL") return "Call";
+  return channelLabel(msg.type) || channelLabel(msg.contentType) || "Message";
+}
+
+function stripHtml(html) {
+  if (!html) return "";
+  return convert(html, {
+    wordwrap: false,
+    selectors: [
+      { selector: "img", format: "skip" },
+      { selector: "a", options: { hideLinkHrefIfSameAsText: true } },
+    ],
+  });
+}
+
+function getMessageBody(msg) {
+  return msg.body || msg.text || msg.message || "";
+}
+
+/**
+ * Plain-text body of an email message (HTML converted to text).
+ */
+function getEmailText(msg) {
+  if (msg.html || msg.body) return stripHtml(msg.html || msg.body);
+  return msg.text || "";
+}
+
+/**
+ * Call length in seconds; GHL reports it on the message or under meta.call.
+ */
+function getCallDuration(msg) {
+  return msg.callDuration || msg.meta?.call?.duration || null;
+}
+
+/**
+ * Call transcription as plain text, whatever shape GHL returned it in.
+ */
+function getTranscriptText(msg) {
+  if (!msg.transcription) return "";
+  return typeof msg.transcription === "string"
+    ? msg.transcription
+    : JSON.stringify(msg.transcription);
+}
+
+/**
+ * Split text into segments for renderers to style: plain text, redaction
+ * markers (`mark: "redacted"`) and keyword matches (`mark: "keyword"`).
+ * `highlight` is a keyword regex (see filters.keywordPattern) or null.
+ */
+function markSegments(text, highlight) {
+  const source = highlight ? `(${escapeRegex(MARKER)})|(?:${highlight.source})` : `(${escapeRegex(MARKER)})`;
+  const segments = [];
+  let last = 0;
+  for (const match of text.matchAll(new RegExp(source, "gi"))) {
+    if (!match[0]) continue;
+    if (match.index > last) segments.push({ text: text.slice(last, match.index) });
+    segments.push({ text: match[0], mark: match[1] ? "redacted" : "keyword" });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) segments.push({ text: text.slice(last) });
+  return segments;
+}
+
+function attachmentName(att) {
+  return typeof att === "string"
+    ? att.split("/").pop()
+    : att.name || att.url || "attachment";
+}
+
+function attachmentUrl(att) {
+  return typeof att === "string" ? att : att.url || null;
+}
+
+/**
+ * Key of a message's `index`-th attachment in the downloaded files map.
+ * URLs can't be keys: redaction can make two different ones identical.
+ */
+function attachmentKey(messageId, index) {
+  return `${messageId}/${index}`;
+}
+
+module.exports = {
+  formatDate,
+  formatTime,
+  formatFullDate,
+  formatDuration,
+  channelLabel,
+  messageTypeLabel,
+  stripHtml,
+  getMessageBody,
+  getEmailText,
+  getTranscriptText,
+  getCallDuration,
+  markSegments,
+  attachmentName,
+  attachmentUrl,
+  attachmentKey,
+};
@@ -2,79 +2,315 @@ const axios = require("axios");
 const CryptoJS = require("crypto-js");
 const config = require("../config");
 const store = require("./store");
+const ratelimit = require("./ratelimit");
 
 const TOKEN_URL = `${config.ghl.apiDomain}/oauth/token`;
+const LOCATION_TOKEN_URL = `${config.ghl.apiDomain}/oauth/locationToken`;
 const REDIRECT_URI = `${config.appUrl}/oauth/callback`;
+const API_VERSION = "2021-07-28";
+const REQUEST_TIMEOUT_MS = 30 * 1000;
 
+// Install levels, as GHL reports them in `userType`
+const COMPANY = "Company";
+const LOCATION = "Location";
+
+// Error code for calls that can't succeed until the app is installed again
+const REINSTALL_REQUIRED = "reinstall_required";
+
+function reinstallRequired(message) {
+  return Object.assign(new Error(message), { code: REINSTALL_REQUIRED });
+}
+
+/**
+ * Whether a failed token request means the grant is gone for good (app
+ * uninstalled or access revoked). Other failures, including a 401 from a
+ * bad client secret, are passing problems.
+ */
+function isRevokedGrant(err) {
+  return err.response?.data?.error === "invalid_grant";
+}
+
+async function postForm(url, params, headers = {}) {
+  const { data } = await axios.post(url, new URLSearchParams(params).toString(), {
+    headers: { "Content-Type": "application/x-www-form-urlencoded", ...headers },
+    timeout: REQUEST_TIMEOUT_MS,
+  });
+  return data;
+}
+
+/**
+ * Finish an install. A sub-account install returns a Location token; an
+ * agency install returns a Company token, from which each of the agency's
+ * locations gets its own token when first opened.
+ */
 async function exchangeCodeForTokens(code) {
-  const params = new URLSearchParams({
+  const data = await postForm(TOKEN_URL, {
     client_id: config.ghl.clientId,
     client_secret: config.ghl.clientSecret,
     grant_type: "authorization_code",
     code,
-    user_type: "Location",
     redirect_uri: REDIRECT_URI,
   });
 
-  const { data } = await axios.post(TOKEN_URL, params.toString(), {
-    headers: { "Content-Type": "application/x-www-form-urlencoded" },
-  });
-
-  await store.saveTokens(data.locationId, data);
-  console.log(`Tokens stored for location ${data.locationId}`);
+  // Kept through refreshes, so a late uninstall webhook can be told apart
+  const installed = { ...data, installedAt: new Date().toISOString() };
+  if (data.userType === COMPANY) {
+    await store.saveCompanyTokens(data.companyId, installed);
+    console.log(`Tokens stored for company ${data.companyId}`);
+  } else {
+    await store.saveTokens(data.locationId, installed);
+    console.log(`Tokens stored for location ${data.locationId}`);
+  }
   return data;
 }
 
-async function refreshAccessToken(locationId) {
-  const existing = await store.getTokens(locationId);
-  if (!existing) throw new Error(`No tokens found for location ${locationId}`);
+// In-flight token refreshes and mints, keyed by location ID (or
+// "company:<id>"), so parallel 401s share one request
+const refreshing = new Map();
+
+function refreshOnce(key, task) {
+  if (!refreshing.has(key)) {
+    const refresh = task().finally(() => refreshing.delete(key));
+    refreshing.set(key, refresh);
+  }
+  return refreshing.get(key);
+}
+
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 15 * 1000;
+const RETRYABLE_STATUS = new Set([429, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(["ECONNABORTED", "ETIMEDOUT", "ECONNRESET", "EAI_AGAIN", "EPIPE"]);
 
-  const params = new URLSearchParams({
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function refreshGrant(existing, userType) {
+  return postForm(TOKEN_URL, {
     client_id: config.ghl.clientId,
     client_secret: config.ghl.clientSecret,
     grant_type: "refresh_token",
     refresh_token: existing.refresh_token,
-    user_type: "Location",
+    user_type: userType,
     redirect_uri: REDIRECT_URI,
   });
+}
 
-  const { data } = await axios.post(TOKEN_URL, params.toString(), {
-    headers: { "Content-Type": "application/x-www-form-urlencoded" },
-  });
+// Refreshes retried after another instance replaced the tokens mid-refresh
+const MAX_REFRESH_ATTEMPTS = 3;
+
+/**
+ * Exchange the stored refresh token and save the new tokens. `records`
+ * reads, saves and revokes the stored tokens. A refused grant is recorded
+ * on the stored tokens (`revokedAt`) so the app can ask for a reinstall,
+ * unless they changed since this refresh began: another instance won the
+ * race for the single-use refresh token, so the refresh is tried again
+ * with the newer tokens. Installing again replaces the record.
+ */
+async function refreshOrRevoke(records, userType, label) {
+  let existing = await records.get();
+  for (let attempt = 1; ; attempt++) {
+    if (!existing || existing.revokedAt) {
+      throw reinstallRequired(`The app is no longer installed for ${label}`);
+    }
+
+    try {
+      const data = await refreshGrant(existing, userType);
+      // Refresh tokens are single-use — always merge and persist the new one
+      await records.save({ ...existing, ...data });
+      return data;
+    } catch (err) {
+      if (!isRevokedGrant(err)) throw err;
+      if (await records.revoke(existing.refresh_token, new Date().toISOString())) {
+        console.error(`Refresh token for ${label} was revoked:`, err.response?.data || err.message);
+        throw reinstallRequired(`Access to ${label} was revoked. Reinstall the app to continue.`);
+      }
+      if (attempt >= MAX_REFRESH_ATTEMPTS) throw err;
+      console.log(`Tokens for ${label} changed during refresh, retrying with the stored tokens`);
+      existing = await records.get();
+    }
+  }
+}
+
+async function requestCompanyRefresh(companyId) {
+  const records = {
+    get: () => store.getCompanyTokens(companyId),
+    save: (tokens) => store.saveCompanyTokens(companyId, tokens),
+    revoke: (refreshToken, revokedAt) => store.revokeCompanyTokens(companyId, refreshToken, revokedAt),
+  };
+  const data = await refreshOrRevoke(records, COMPANY, `company ${companyId}`);
+  console.log(`Tokens refreshed for company ${companyId}`);
+  return data.access_token;
+}
+
+/**
+ * Mint a token for one of an agency's locations from its Company token,
+ * refreshing the Company token once if it has expired.
+ */
+async function requestLocationToken(companyId, locationId) {
+  const company = await store.getCompanyTokens(companyId);
+  if (!company || company.revokedAt) {
+    throw reinstallRequired(`The app is no longer installed for company ${companyId}`);
+  }
+
+  const mint = (accessToken) =>
+    postForm(LOCATION_TOKEN_URL, { companyId, locationId }, { Authorization: `Bearer ${accessToken}`, Version: API_VERSION });
+
+  let data;
+  try {
+    data = await mint(company.access_token);
+  } catch (err) {
+    if (err.response?.status !== 401) throw err;
+    data = await mint(await refreshOnce(`company:${companyId}`, () => requestCompanyRefresh(companyId)));
+  }
+
+  await store.saveTokens(locationId, { ...data, locationId, companyId, installedVia: COMPANY });
+  console.log(`Location token minted for ${locationId} from company ${companyId}`);
+  return data.access_token;
+}
 
-  // Refresh tokens are single-use — always merge and persist the new one
-  await store.saveTokens(locationId, { ...existing, ...data });
+async function requestTokenRefresh(locationId) {
+  const existing = await store.getTokens(locationId);
+  if (!existing || existing.revokedAt) {
+    throw reinstallRequired(`The app is no longer installed for location ${locationId}`);
+  }
+
+  // Tokens from an agency install are minted again rather than refreshed
+  if (existing.installedVia === COMPANY) return requestLocationToken(existing.companyId, locationId);
+
+  const records = {
+    get: () => store.getTokens(locationId),
+    save: (tokens) => store.saveTokens(locationId, tokens),
+    revoke: (refreshToken, revokedAt) => store.revokeTokens(locationId, refreshToken, revokedAt),
+  };
+  const data = await refreshOrRevoke(records, LOCATION, `location ${locationId}`);
   console.log(`Tokens refreshed for location ${locationId}`);
   return data.access_token;
 }
 
 /**
- * Make an authenticated GHL API call with automatic token refresh on 401.
- * Use this for any API call to GHL services.
+ * Refresh a location's access token. Concurrent callers share a single
+ * refresh, so the single-use refresh token is only spent once.
+ */
+function refreshAccessToken(locationId) {
+  return refreshOnce(locationId, () => requestTokenRefresh(locationId));
+}
+
+/**
+ * Make sure a location has tokens, minting them from its agency's install
+ * when the app was installed at the agency level. Resolves whether the
+ * location is usable (false if the app isn't installed or was revoked).
  */
-async function apiCall(locationId, method, url, data = null) {
+async function ensureLocationTokens(locationId, companyId) {
   const tokens = await store.getTokens(locationId);
-  if (!tokens) throw new Error(`No tokens for location ${locationId}`);
+  if (tokens?.installedVia === COMPANY) {
+    const company = await store.getCompanyTokens(tokens.companyId);
+    return Boolean(company && !company.revokedAt && !tokens.revokedAt);
+  }
+  if (tokens) return !tokens.revokedAt;
 
-  const headers = {
-    Authorization: `Bearer ${tokens.access_token}`,
-    "Content-Type": "application/json",
-    Version: "2021-07-28",
-  };
+  const company = companyId ? await store.getCompanyTokens(companyId) : null;
+  if (!company || company.revokedAt) return false;
+  await refreshOnce(locationId, () => requestLocationToken(companyId, locationId));
+  return true;
+}
 
-  const opts = { method, url, headers };
-  if (data) opts.data = data;
+/**
+ * Get a working token after `staleToken` was rejected. If another request
+ * already refreshed it, use the stored token instead of refreshing again.
+ */
+async function tokenAfterUnauthorized(locationId, staleToken) {
+  if (refreshing.has(locationId)) return refreshing.get(locationId);
+  const current = await store.getTokens(locationId);
+  if (current && current.access_token !== staleToken) return current.access_token;
+  console.log(`Token expired for ${locationId}, refreshing...`);
+  return refreshAccessToken(locationId);
+}
+
+/**
+ * How long to wait before retrying a failed request, or null if it
+ * shouldn't be retried. Honours Retry-After on 429s; otherwise exponential
+ * backoff with jitter.
+ */
+function retryDelay(err, attempt) {
+  if (attempt >= config.ghl.maxRetries) return null;
+  const status = err.response?.status;
+  if (status ? !RETRYABLE_STATUS.has(status) : !RETRYABLE_CODES.has(err.code)) return null;
+
+  const retryAfter = parseFloat(err.response?.headers?.["retry-after"]);
+  if (status === 429 && retryAfter > 0) return Math.min(retryAfter * 1000, 60 * 1000);
+
+  const backoff = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+  return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+}
+
+/**
+ * One authenticated request, refreshing the token once on 401. Records
+ * the rate-limit headers of every response.
+ */
+async function send(locationId, opts) {
+  const tokens = await store.getTokens(locationId);
+  if (!tokens || tokens.revokedAt) {
+    throw reinstallRequired(`The app is not installed for location ${locationId}`);
+  }
+
+  const request = () =>
+    axios(opts).then(
+      (res) => {
+        ratelimit.update(locationId, res.headers);
+        return res;
+      },
+      (err) => {
+        if (err.response) {
+          ratelimit.update(locationId, err.response.headers);
+          // Release the connection behind an unread error body
+          if (opts.responseType === "stream") err.response.data?.destroy?.();
+        }
+        throw err;
+      }
+    );
 
+  opts.headers.Authorization = `Bearer ${tokens.access_token}`;
   try {
-    return await axios(opts);
+    return await request();
   } catch (err) {
-    if (err.response?.status === 401) {
-      console.log(`Token expired for ${locationId}, refreshing...`);
-      const newToken = await refreshAccessToken(locationId);
-      opts.headers.Authorization = `Bearer ${newToken}`;
-      return await axios(opts);
+    if (err.response?.status !== 401) throw err;
+    const newToken = await tokenAfterUnauthorized(locationId, tokens.access_token);
+    opts.headers.Authorization = `Bearer ${newToken}`;
+    return await request();
+  }
+}
+
+/**
+ * Make an authenticated GHL API call with automatic token refresh on 401.
+ * Use this for any API call to GHL services. Pass `{ responseType: "stream" }`
+ * for binary downloads such as call recordings.
+ *
+ * Calls are queued per location to stay within GHL's rate limits, and
+ * 429/502/503/504 responses and network timeouts are retried.
+ */
+async function apiCall(locationId, method, url, data = null, { responseType } = {}) {
+  const opts = {
+    method,
+    url,
+    headers: { "Content-Type": "application/json", Version: API_VERSION },
+    timeout: REQUEST_TIMEOUT_MS,
+  };
+  if (data) opts.data = data;
+  if (responseType) opts.responseType = responseType;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await ratelimit.schedule(locationId, () => send(locationId, opts));
+    } catch (err) {
+      const wait = retryDelay(err, attempt);
+      if (wait === null) throw err;
+      console.log(
+        `GHL ${method} ${url} failed (${err.response?.status || err.code}), retry ${attempt + 1} in ${wait}ms`
+      );
+      if (err.response?.status === 429) ratelimit.pause(locationId, wait);
+      await sleep(wait);
     }
-    throw err;
   }
 }
 
@@ -86,8 +322,10 @@ function decryptSSOData(key) {
 }
 
 module.exports = {
+  REINSTALL_REQUIRED,
   exchangeCodeForTokens,
   refreshAccessToken,
+  ensureLocationTokens,
   apiCall,
   decryptSSOData,
 };
@@ -0,0 +1,270 @@
+const fs = require("fs");
+const {
+  formatDate,
+  formatTime,
+  formatFullDate,
+  formatDuration,
+  messageTypeLabel,
+  getMessageBody,
+  getEmailText,
+  getTranscriptText,
+  getCallDuration,
+  markSegments,
+  attachmentName,
+  attachmentUrl,
+  attachmentKey,
+} = require("./format");
+const redaction = require("./redaction");
+const filters = require("./filters");
+const { DEFAULT_TIMEZONE, timezoneLabel } = require("./timezone");
+
+function esc(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+const MARKER_HTML = `<span class="redacted">${redaction.MARKER}</span>`;
+
+// Escape message text, styling redaction markers and keyword-filter matches
+function escText(value, highlight) {
+  return markSegments(String(value ?? ""), highlight)
+    .map((seg) => {
+      if (seg.mark === "redacted") return MARKER_HTML;
+      if (seg.mark === "keyword") return `<mark class="keyword">${esc(seg.text)}</mark>`;
+      return esc(seg.text);
+    })
+    .join("");
+}
+
+const STYLES = `
+  *{box-sizing:border-box}
+  body{font-family:system-ui,-apple-system,'Segoe UI',sans-serif;background:#f8f9fb;color:#111827;margin:0}
+  .wrap{max-width:820px;margin:0 auto;padding:32px 24px}
+  header h1{font-size:22px;margin:0 0 4px}
+  header .meta{font-size:13px;color:#6b7280;line-height:1.6}
+  .search{position:sticky;top:0;background:#f8f9fb;padding:16px 0;z-index:1}
+  .search input{width:100%;padding:10px 14px;border:1.5px solid #e5e7eb;border-radius:8px;font-size:14px}
+  .search .count{font-size:12px;color:#6b7280;margin-top:6px}
+  .msg{background:#fff;border:1px solid #e5e7eb;border-radius:10px;padding:14px 16px;margin-bottom:10px}
+  .msg .head{font-size:12px;color:#6b7280;margin-bottom:6px}
+  .msg .dir{font-weight:700;margin-right:8px}
+  .msg.outbound .dir{color:#2563eb}
+  .msg.inbound .dir{color:#16a34a}
+  .msg .subject{font-weight:600;font-size:14px}
+  .msg .addr{font-size:12px;color:#6b7280;margin-bottom:6px}
+  .msg .body{font-size:14px;white-space:pre-wrap;word-wrap:break-word}
+  .msg .label{font-size:12px;font-style:italic;color:#6b7280;margin-top:6px}
+  .msg .att{font-size:12px;color:#6b7280;margin-top:6px}
+  .msg .att .hash{font-family:ui-monospace,monospace;font-size:11px;word-break:break-all}
+  .msg .att-audio{display:block;width:100%;margin-top:8px}
+  .msg .att-img{display:block;max-width:100%;max-height:480px;margin-top:8px;border-radius:6px}
+  .msg.hidden{display:none}
+  mark{background:#fde68a}
+  mark.keyword{font-weight:600}
+  .redacted{font-weight:700;color:#b91c1c}
+  .redaction-log{margin-top:24px;font-size:12px}
+  .redaction-log table{width:100%;border-collapse:collapse;background:#fff}
+  .redaction-log th,.redaction-log td{border:1px solid #e5e7eb;padding:4px 8px;text-align:left}
+`;
+
+const SCRIPT = (markerHtml) => `
+  (function () {
+    var input = document.getElementById('q');
+    var count = document.getElementById('count');
+    var msgs = Array.prototype.slice.call(document.querySelectorAll('.msg'));
+    var bodies = msgs.map(function (m) { return m.querySelectorAll('[data-text]'); });
+    var originals = bodies.map(function (els) {
+      return Array.prototype.map.call(els, function (el) { return el.textContent; });
+    });
+    var rendered = bodies.map(function (els) {
+      return Array.prototype.map.call(els, function (el) { return el.innerHTML; });
+    });
+
+    function escapeHtml(s) {
+      return s.replace(/[&<>"']/g, function (c) {
+        return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c];
+      });
+    }
+
+    function decorate(html) {
+      return html.split(${JSON.stringify(redaction.MARKER)}).join(${JSON.stringify(markerHtml)});
+    }
+
+    input.addEventListener('input', function () {
+      var q = input.value.trim().toLowerCase();
+      var shown = 0;
+      msgs.forEach(function (m, i) {
+        var match = !q || m.textContent.toLowerCase().indexOf(q) !== -1;
+        m.classList.toggle('hidden', !match);
+        if (match) shown++;
+        Array.prototype.forEach.call(bodies[i], function (el, j) {
+          var text = originals[i][j];
+          if (!q) { el.innerHTML = rendered[i][j]; return; }
+          var lower = text.toLowerCase();
+          var out = '', pos = 0, idx;
+          while ((idx = lower.indexOf(q, pos)) !== -1) {
+            out += escapeHtml(text.slice(pos, idx)) + '<mark>' + escapeHtml(text.slice(idx, idx + q.length)) + '</mark>';
+            pos = idx + q.length;
+          }
+          el.innerHTML = decorate(out + escapeHtml(text.slice(pos)));
+        });
+      });
+      count.textContent = q ? shown + ' of ' + msgs.length + ' messages match' : msgs.length + ' messages';
+    });
+  })();
+`;
+
+function renderAttachments(msg, files) {
+  const attachments = msg.attachments || [];
+  return attachments
+    .map((att, index) => {
+      const url = attachmentUrl(att);
+      const name = esc(attachmentName(att));
+      const file = files?.get(attachmentKey(msg.id, index));
+      if (file && !file.error) {
+        const image = file.inline ? `<img class="att-img" src="${esc(file.path)}" alt="${name}">` : "";
+        return `${image}<div class="att">[attachment: <a href="${esc(file.path)}" target="_blank" rel="noopener">${name}</a>]` +
+          `<div class="hash">${esc(file.path)} &middot; SHA-256 ${esc(file.sha256)}</div></div>`;
+      }
+      const note = file?.error ? `<div class="hash">not included: ${esc(file.error)}</div>` : "";
+      return url
+        ? `<div class="att">[attachment: <a href="${esc(url)}" target="_blank" rel="noopener">${name}</a>]${note}</div>`
+        : `<div class="att">[attachment: ${name}]${note}</div>`;
+    })
+    .join("");
+}
+
+function renderRecording(recording) {
+  if (recording.error) {
+    return `<div class="att">[recording not included: ${esc(recording.error)}]</div>`;
+  }
+  const length = recording.durationSeconds ? ` (${esc(formatDuration(recording.durationSeconds))})` : "";
+  return `<audio class="att-audio" controls preload="none" src="${esc(recording.path)}"></audio>` +
+    `<div class="att">[recording: <a href="${esc(recording.path)}">${esc(recording.path)}</a>${length}]` +
+    `<div class="hash">SHA-256 ${esc(recording.sha256)}</div></div>`;
+}
+
+/**
+ * One message. `view` carries the export-wide context: downloaded
+ * `files` (by URL), `recordings` (by message ID), timezone `tz` and the
+ * keyword `highlight` regex.
+ */
+function renderMessage(msg, view) {
+  const { files, recordings, tz, highlight } = view;
+  const direction = msg.direction === "outbound" ? "outbound" : "inbound";
+  const channel = messageTypeLabel(msg);
+  const parts = [
+    `<div class="head"><span class="dir">[${direction.toUpperCase()}]</span>${esc(formatDate(msg.dateAdded, tz))} ${esc(formatTime(msg.dateAdded, tz))} ${esc(timezoneLabel(msg.dateAdded, tz))} &middot; ${esc(channel)}</div>`,
+  ];
+
+  if (msg.messageType === "CALL" || channel === "Call") {
+    const details = [];
+    const duration = getCallDuration(msg);
+    if (duration) details.push(`Duration: ${formatDuration(duration)}`);
+    if (msg.callStatus || msg.status) details.push(`Status: ${msg.callStatus || msg.status}`);
+    if (details.length > 0) parts.push(`<div class="body">${esc(details.join("  |  "))}</div>`);
+    const recording = recordings?.get(msg.id);
+    if (recording) parts.push(renderRecording(recording));
+    const transcript = getTranscriptText(msg);
+    if (transcript) {
+      parts.push(`<div class="label">Transcription:</div><div class="body" data-text>${escText(transcript, highlight)}</div>`);
+    }
+  } else if (channel === "Email") {
+    if (msg.subject) parts.push(`<div class="subject" data-text>${escText(msg.subject, highlight)}</div>`);
+    const fromTo = [msg.from, msg.to].filter(Boolean).join(" → ");
+    if (fromTo) parts.push(`<div class="addr">${esc(fromTo)}</div>`);
+    const body = getEmailText(msg);
+    if (body) parts.push(`<div class="body" data-text>${escText(body, highlight)}</div>`);
+  } else {
+    const body = getMessageBody(msg);
+    if (body) parts.push(`<div class="body" data-text>${escText(body, highlight)}</div>`);
+  }
+
+  parts.push(renderAttachments(msg, files));
+  return `<div class="msg ${direction}" id="msg-${esc(msg.id)}">${parts.join("")}</div>`;
+}
+
+function renderRedactionLog(log, tz) {
+  if (!log) return "";
+  const totals = Object.entries(redaction.summarize(log))
+    .map(([type, count]) => `${esc(redaction.typeLabel(type))}: ${count}`)
+    .join(" &middot; ");
+  const rows = log
+    .map(
+      (entry) =>
+        // Contact details have no message
+        (entry.messageId
+          ? `<tr><td>${esc(formatDate(entry.dateAdded, tz))} ${esc(formatTime(entry.dateAdded, tz))}</td>` +
+            `<td><a href="#msg-${esc(entry.messageId)}">${esc(entry.messageId)}</a></td>`
+          : "<tr><td>&mdash;</td><td>&mdash;</td>") +
+        `<td>${esc(entry.field)}</td><td>${esc(redaction.typeLabel(entry.type))}</td><td>${entry.count}</td></tr>`
+    )
+    .join("");
+  return `<section class="redaction-log">
+    <h2>Redaction Log</h2>
+    <p>${totals || "No personal information matched the redaction rules."}</p>
+    ${rows ? `<table><thead><tr><th>Date</th><th>Message ID</th><th>Field</th><th>Type</th><th>Count</th></tr></thead><tbody>${rows}</tbody></table>` : ""}
+  </section>`;
+}
+
+/**
+ * Generate a self-contained, searchable HTML transcript. Email HTML is
+ * converted to text rather than embedded, so the file runs no message
+ * content as markup.
+ *
+ * With `attachments` (downloaded files keyed by URL), attachment links
+ * point at the files' paths in the export bundle and images are shown
+ * inline; `recordings` (keyed by message ID) adds an audio player per call.
+ * Either way the transcript works offline once the ZIP is extracted.
+ * Matches for the export's keyword filter are highlighted.
+ */
+function generateHTML(contact, messages, outputPath, options = {}) {
+  const tz = options.timezone || DEFAULT_TIMEZONE;
+  const first = messages[0];
+  const last = messages[messages.length - 1];
+  const dateRange = messages.length > 0
+    ? `${formatDate(first.dateAdded, tz)} – ${formatDate(last.dateAdded, tz)}`
+    : "N/A";
+  const details = [contact.email, contact.phone].filter(Boolean).map(esc).join(" &middot; ");
+  const filterLines = filters.describeExportFilters(options.filters, options.dateRange);
+  const view = {
+    files: options.attachments,
+    recordings: options.recordings,
+    tz,
+    highlight: filters.keywordPattern(options.filters?.keywords),
+  };
+
+  const html = `<!DOCTYPE html>
+<html lang="en"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<title>Conversation Export - ${esc(contact.name || "Unknown")}</title>
+<style>${STYLES}</style></head><body>
+<div class="wrap">
+  <header>
+    <h1>${esc(contact.name || "Unknown Contact")}</h1>
+    <div class="meta">
+      ${details ? details + "<br>" : ""}
+      ${messages.length.toLocaleString()} messages &middot; ${esc(dateRange)}<br>
+      Exported ${esc(formatFullDate(new Date().toISOString(), tz))}<br>
+      Times shown in ${esc(tz)} (${esc(timezoneLabel(new Date(), tz))})
+      ${filterLines.length > 0 ? `<br>Filters: ${filterLines.map(esc).join(" &middot; ")}` : ""}
+    </div>
+  </header>
+  <div class="search">
+    <input id="q" type="search" placeholder="Search messages...">
+    <div id="count" class="count">${messages.length} messages</div>
+  </div>
+  ${messages.map((msg) => renderMessage(msg, view)).join("\n  ")}
+  ${renderRedactionLog(options.redactionLog, tz)}
+</div>
+<script>${SCRIPT(MARKER_HTML)}</script>
+</body></html>
+`;
+
+  return fs.promises.writeFile(outputPath, html, "utf-8").then(() => ({ outputPath }));
+}
+
+module.exports = { generateHTML };
@@ -0,0 +1,92 @@
+const crypto = require("crypto");
+const config = require("../config");
+const store = require("./store");
+const jobs = require("./jobs");
+
+// GHL's app lifecycle webhooks. An uninstall removes everything the app
+// holds for the location: its tokens, cached message history and export
+// jobs. Settings, schedules, custody records and the audit log are kept,
+// so a reinstall picks up where it left off.
+
+/**
+ * Check a webhook's `x-wh-signature` header: a base64 RSA-SHA256 signature
+ * of the raw request body, made with GHL's private key.
+ */
+function verifySignature(rawBody, signature) {
+  if (!rawBody || !signature) return false;
+  try {
+    return crypto.verify("sha256", rawBody, config.ghl.webhookPublicKey, Buffer.from(signature, "base64"));
+  } catch (err) {
+    console.error("Webhook signature check failed:", err.message);
+    return false;
+  }
+}
+
+/**
+ * Whether the app was installed again after the event happened, in which
+ * case a late or replayed uninstall must be ignored.
+ */
+function reinstalledSince(tokens, event) {
+  const at = Date.parse(event.timestamp);
+  return Boolean(tokens?.installedAt && at && Date.parse(tokens.installedAt) > at);
+}
+
+async function uninstallLocation(locationId, event) {
+  const tokens = await store.getTokens(locationId);
+  if (reinstalledSince(tokens, event)) {
+    console.log(`Ignoring uninstall of ${locationId}: reinstalled since`);
+    return;
+  }
+
+  await store.deleteTokens(locationId);
+  await store.deleteMessageCache(locationId);
+  const purged = await jobs.purgeLocationJobs(locationId);
+  console.log(`App uninstalled from location ${locationId}: tokens, message cache and ${purged} job(s) removed`);
+}
+
+/**
+ * An agency uninstall removes the Company token and every location token
+ * minted from it.
+ */
+async function uninstallCompany(companyId, event) {
+  const company = await store.getCompanyTokens(companyId);
+  if (reinstalledSince(company, event)) {
+    console.log(`Ignoring uninstall of company ${companyId}: reinstalled since`);
+    return;
+  }
+
+  for (const key of await store.listTokenKeys()) {
+    if (key.startsWith("company:")) continue;
+    let tokens;
+    try {
+      tokens = await store.getTokens(key);
+    } catch (err) {
+      console.error(`Could not read tokens for ${key}:`, err.message);
+      continue;
+    }
+    if (tokens?.installedVia === "Company" && tokens.companyId === companyId) {
+      await uninstallLocation(key, event);
+    }
+  }
+  await store.deleteCompanyTokens(companyId);
+  console.log(`App uninstalled from company ${companyId}`);
+}
+
+/**
+ * Act on a verified lifecycle event. Install events need no work: tokens
+ * arrive through the OAuth callback.
+ */
+async function handleEvent(event) {
+  if (event.type === "UNINSTALL") {
+    if (event.locationId) return uninstallLocation(event.locationId, event);
+    if (event.companyId) return uninstallCompany(event.companyId, event);
+  }
+  if (event.type === "INSTALL") {
+    console.log(`App installed (${event.installType || "Location"}) for ${event.locationId || event.companyId}`);
+  }
+}
+
+module.exports = {
+  verifySignature,
+  handleEvent,
+};
@@ -0,0 +1,244 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const store = require("./store");
+
+const JOB_TTL_MS = 60 * 60 * 1000; // 1 hour
+const HEARTBEAT_MS = 30 * 1000;
+// A processing job that hasn't been touched for this long has lost its worker
+const STALE_MS = 2 * 60 * 1000;
+const PROGRESS_SAVE_MS = 2000;
+const MAX_ATTEMPTS = 2;
+
+// Identifies this process as the owner of the jobs it is running
+const WORKER_ID = crypto.randomUUID();
+
+// Jobs this instance is currently running, keyed by id
+const running = new Map();
+// Last time each running job's progress was written, keyed by id
+const lastSaved = new Map();
+
+/**
+ * Create and persist a job. `type` selects the worker ("contact" or "bulk");
+ * `params` holds everything needed to (re)run it.
+ */
+async function createJob(owner, { type = "contact", contactId = null, params = {} }) {
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    contactId,
+    locationId: owner.locationId,
+    ownerUserId: owner.userId,
+    // Recorded on chain-of-custody records
+    exportedBy: {
+      userId: owner.userId,
+      email: owner.email || null,
+      userName: owner.userName || null,
+      role: owner.role || null,
+    },
+    // Client address that started the job, for the audit log
+    requestIp: owner.ip || null,
+    status: "processing",
+    progress: { phase: "starting", detail: "" },
+    createdAt: Date.now(),
+    filePath: null,
+    filename: null,
+    error: null,
+    params,
+    workerId: WORKER_ID,
+    attempts: 1,
+  };
+  await store.saveJob(job);
+  return job;
+}
+
+function getJob(jobId) {
+  return store.getJob(jobId);
+}
+
+/**
+ * Apply changes to a job and persist it.
+ */
+async function updateJob(job, changes) {
+  Object.assign(job, changes);
+  await store.saveJob(job);
+  return job;
+}
+
+/**
+ * Record progress on a running job. Progress callbacks fire very often, so
+ * writes are throttled; the heartbeat flushes whatever is left over.
+ */
+function setProgress(job, progress) {
+  job.progress = progress;
+  const now = Date.now();
+  if (now - (lastSaved.get(job.id) || 0) < PROGRESS_SAVE_MS) return;
+  lastSaved.set(job.id, now);
+  store.saveJob(job).catch((err) => {
+    console.error(`Failed to save progress for job ${job.id}:`, err.message);
+  });
+}
+
+/**
+ * Run `worker(job)` while keeping the job's heartbeat fresh, and record the
+ * final status when it settles.
+ */
+async function runJob(job, worker) {
+  running.set(job.id, job);
+  try {
+    await worker(job);
+  } catch (err) {
+    // errorCode lets the app react to specific failures (e.g. reinstall_required)
+    await updateJob(job, { status: "failed", error: err.message, errorCode: err.code || null });
+    throw err;
+  } finally {
+    running.delete(job.id);
+    lastSaved.delete(job.id);
+  }
+}
+
+async function heartbeat() {
+  for (const job of running.values()) {
+    try {
+      await store.saveJob(job);
+    } catch (err) {
+      console.error(`Heartbeat failed for job ${job.id}:`, err.message);
+    }
+  }
+}
+
+// Delete a job's export files. Already gone is fine: with a shared
+// exports folder another instance may have removed them first.
+function deleteJobFiles(job) {
+  for (const file of [job.filePath, job.manifestPath]) {
+    if (!file) continue;
+    try {
+      fs.unlinkSync(file);
+    } catch (err) {
+      if (err.code !== "ENOENT") console.error(`Failed to remove ${file}:`, err.message);
+    }
+  }
+}
+
+async function cleanupJobs() {
+  const expired = await store.listJobs({ updatedBefore: Date.now() - JOB_TTL_MS });
+  for (const job of expired) {
+    if (running.has(job.id)) continue;
+    deleteJobFiles(job);
+    await store.deleteJob(job.id);
+  }
+  await sweepExportsDir();
+}
+
+/**
+ * Remove files and work directories in the exports folder that no job row
+ * refers to, such as those left behind by a crashed worker. Only entries
+ * older than the job TTL are touched, so files another instance is still
+ * writing are left alone.
+ */
+async function sweepExportsDir() {
+  const exportsDir = store.ensureExportsDir();
+  const known = new Set();
+  for (const job of await store.listJobs()) {
+    known.add(job.id); // bulk and bundle work directories
+    for (const file of [job.filePath, job.manifestPath]) {
+      if (file) known.add(path.basename(file));
+    }
+  }
+
+  const cutoff = Date.now() - JOB_TTL_MS;
+  for (const name of fs.readdirSync(exportsDir)) {
+    if (known.has(name)) continue;
+    const entry = path.join(exportsDir, name);
+    try {
+      if (fs.statSync(entry).mtimeMs >= cutoff) continue;
+      fs.rmSync(entry, { recursive: true, force: true });
+    } catch (err) {
+      console.error(`Failed to remove ${entry}:`, err.message);
+    }
+  }
+}
+
+/**
+ * Delete every job of a location along with its export files. A job still
+ * running here fails on its next GHL call once the location's tokens are
+ * gone, and is then removed by the regular cleanup.
+ */
+async function purgeLocationJobs(locationId) {
+  let purged = 0;
+  for (const job of await store.listJobs({ locationId })) {
+    if (running.has(job.id)) continue;
+    deleteJobFiles(job);
+    await store.deleteJob(job.id);
+    purged++;
+  }
+  return purged;
+}
+
+/**
+ * Find processing jobs whose worker has gone away (crash, redeploy) and
+ * either resume them via `resume(job)` or mark them failed once they've
+ * used up their attempts, passing them to `settled(job)`.
+ */
+async function recoverOrphanedJobs(resume, settled) {
+  const staleBefore = Date.now() - STALE_MS;
+  const orphaned = await store.listJobs({ status: "processing", updatedBefore: staleBefore });
+
+  for (const candidate of orphaned) {
+    if (running.has(candidate.id)) continue;
+
+    const job = await store.claimJob(candidate.id, WORKER_ID, staleBefore);
+    if (!job) continue; // Another instance got there first
+
+    if ((job.attempts || 1) >= MAX_ATTEMPTS || !job.params) {
+      console.log(`Marking orphaned job ${job.id} as failed`);
+      await updateJob(job, {
+        status: "failed",
+        error: "Export was interrupted by a server restart. Please try again.",
+      });
+      await settled(job);
+      continue;
+    }
+
+    console.log(`Resuming orphaned job ${job.id} (attempt ${(job.attempts || 1) + 1})`);
+    await updateJob(job, {
+      attempts: (job.attempts || 1) + 1,
+      progress: { phase: "starting", detail: "resumed" },
+      error: null,
+    });
+    resume(job);
+  }
+}
+
+/**
+ * Start heartbeat, cleanup and orphan recovery timers. Recovery runs once
+ * immediately so jobs interrupted by a deploy are picked up on boot.
+ * `resume(job)` runs a recovered job again; `settled(job)` is told about
+ * one recovery gave up on, as if its worker had failed.
+ */
+async function startMaintenance(resume, settled) {
+  const recover = () =>
+    recoverOrphanedJobs(resume, settled).catch((err) => {
+      console.error("Job recovery failed:", err.message);
+    });
+
+  await store.ready;
+  setInterval(heartbeat, HEARTBEAT_MS);
+  setInterval(() => {
+    cleanupJobs().catch((err) => console.error("Job cleanup failed:", err.message));
+    recover();
+  }, 5 * 60 * 1000);
+  recover();
+}
+
+module.exports = {
+  WORKER_ID,
+  JOB_TTL_MS,
+  createJob,
+  getJob,
+  updateJob,
+  setProgress,
+  runJob,
+  purgeLocationJobs,
+  startMaintenance,
+};
@@ -0,0 +1,54 @@
+const fs = require("fs");
+const redaction = require("./redaction");
+const { getCallDuration } = require("./format");
+
+// Message fields kept in redacted exports besides the redacted ones
+const ID_FIELDS = ["id", "conversationId", "dateAdded", "direction", "messageType", "type", "contentType", "status"];
+
+/**
+ * The parts of a message a redacted export writes: identifiers and the
+ * fields redaction covers. `meta` and other GHL fields are left out, as
+ * nothing checks them for personal data.
+ */
+function redactedView(msg) {
+  const view = {};
+  for (const field of [...ID_FIELDS, ...redaction.TEXT_FIELDS, ...redaction.ADDRESS_FIELDS]) {
+    if (msg[field] !== undefined) view[field] = msg[field];
+  }
+  const duration = getCallDuration(msg);
+  if (duration) view.callDuration = duration;
+  if (Array.isArray(msg.attachments)) {
+    view.attachments = msg.attachments.map((att) =>
+      att && typeof att === "object" ? { name: att.name || null, url: att.url || null } : att
+    );
+  }
+  return view;
+}
+
+/**
+ * Generate a JSON export: export metadata plus the full GHL message objects
+ * in chronological order. With redaction, messages are cut down to the
+ * fields that were redacted (see `redactedView`).
+ */
+function generateJSON(contact, messages, outputPath, options = {}) {
+  const data = {
+    exportedAt: new Date().toISOString(),
+    contact,
+    dateRange: options.dateRange || null,
+    timezone: options.timezone || null,
+    filters: options.filters || null,
+    messageFilters: options.custody?.filters?.messages || null,
+    totalMessages: messages.length,
+    messageSetSha256: options.custody?.messageSetSha256 || null,
+    redactionLog: options.redactionLog || null,
+    attachments: options.custody?.attachments || null,
+    recordings: options.custody?.recordings || null,
+    messages: options.redactionLog ? messages.map(redactedView) : messages,
+  };
+
+  return fs.promises
+    .writeFile(outputPath, JSON.stringify(data, null, 2), "utf-8")
+    .then(() => ({ outputPath }));
+}
+
+module.exports = { generateJSON };
@@ -1,13 +1,46 @@
 const PDFDocument = require("pdfkit");
-const { convert } = require("html-to-text");
 const fs = require("fs");
+const {
+  formatDate,
+  formatTime,
+  formatFullDate,
+  formatDuration,
+  messageTypeLabel,
+  getMessageBody,
+  getEmailText,
+  getTranscriptText,
+  getCallDuration,
+  markSegments,
+  attachmentName,
+  attachmentKey,
+} = require("./format");
+const redaction = require("./redaction");
+const filters = require("./filters");
+const branding = require("./branding");
+const fonts = require("./fonts");
+const { writeText } = require("./pdftext");
+const { DEFAULT_TIMEZONE, timezoneLabel, localDate } = require("./timezone");
 
-// Colors
-const BLUE = "#2563eb";
+// Colors (outbound messages and headings use the location's accent color)
 const GREEN = "#16a34a";
 const GRAY = "#6b7280";
 const LIGHT_GRAY = "#e5e7eb";
 const DARK = "#111827";
+const RED = "#b91c1c";
+const AMBER = "#b45309";
+
+// Fonts for labels, dates and IDs; text from messages, contacts and settings
+// goes through writeText, which falls back per glyph to other scripts
+const FONT = {
+  regular: fonts.baseFont("regular"),
+  bold: fonts.baseFont("bold"),
+  italic: fonts.baseFont("italic"),
+};
+
+const MARK_STYLES = {
+  redacted: { color: RED, underline: false },
+  keyword: { color: AMBER, underline: true },
+};
 
 // Layout
 const MARGIN = 50;
@@ -16,88 +49,64 @@ const PAGE_HEIGHT = 792;
 const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
 const FOOTER_Y = PAGE_HEIGHT - 35;
 const CONTENT_BOTTOM = FOOTER_Y - 15;
+const HEADER_Y = 20;
+const HEADER_LOGO_HEIGHT = 16;
+const CONTENTS_HEADING_HEIGHT = 50;
+const CONTENTS_LINE_HEIGHT = 18;
+const CONTENTS_LINES_PER_PAGE = Math.floor((CONTENT_BOTTOM - MARGIN - CONTENTS_HEADING_HEIGHT) / CONTENTS_LINE_HEIGHT);
 
-function formatDate(dateStr) {
-  const d = new Date(dateStr);
-  return d.toLocaleDateString("en-US", {
-    year: "numeric",
-    month: "short",
-    day: "numeric",
-  });
-}
-
-function formatTime(dateStr) {
-  const d = new Date(dateStr);
-  return d.toLocaleTimeString("en-US", {
-    hour: "numeric",
-    minute: "2-digit",
-    hour12: true,
-  });
-}
-
-function formatFullDate(dateStr) {
-  const d = new Date(dateStr);
-  return d.toLocaleDateString("en-US", {
-    year: "numeric",
-    month: "long",
-    day: "numeric",
-  });
-}
-
-function formatDuration(seconds) {
-  if (!seconds || seconds <= 0) return "0s";
-  const m = Math.floor(seconds / 60);
-  const s = seconds % 60;
-  if (m === 0) return `${s}s`;
-  return `${m}m ${s}s`;
-}
-
-function channelLabel(type) {
-  if (!type || typeof type !== "string") return "Message";
-  const map = {
-    TYPE_SMS: "SMS",
-    TYPE_EMAIL: "Email",
-    TYPE_CALL: "Call",
-    TYPE_WHATSAPP: "WhatsApp",
-    TYPE_FB_MESSENGER: "Facebook",
-    TYPE_IG_DM: "Instagram",
-    TYPE_LIVE_CHAT: "Live Chat",
-    TYPE_CUSTOM_SMS: "SMS",
-    TYPE_CUSTOM_EMAIL: "Email",
-  };
-  if (map[type]) return map[type];
-  if (type.startsWith("TYPE_"))
-    return type.replace("TYPE_", "").replace(/_/g, " ");
-  return type;
-}
-
-function messageTypeLabel(msg) {
-  if (msg.messageType === "CALL") return "Call";
-  return channelLabel(msg.type) || channelLabel(msg.contentType) || "Message";
-}
-
-function stripHtml(html) {
-  if (!html) return "";
-  return convert(html, {
-    wordwrap: false,
-    selectors: [
-      { selector: "img", format: "skip" },
-      { selector: "a", options: { hideLinkHrefIfSameAsText: true } },
-    ],
-  });
+function batesLabel(bates, number) {
+  return `${bates.prefix || ""}${String(number).padStart(bates.digits || 6, "0")}`;
 }
 
 /**
  * Generate a PDF from contact info and messages.
+ *
+ * Dates and times are shown in `timezone` (IANA name, default UTC), with
+ * the zone printed in every message header and on the cover.
+ *
+ * Production options:
+ *   bates  - { prefix, start, digits } stamps a Bates number on every page,
+ *            starting at `start` (pass the previous file's `bates.next` to
+ *            continue numbering across a bundle)
+ *   legend - confidentiality legend printed in every footer
+ *
+ * When `redactionLog` is given, a redaction summary goes on the cover and
+ * the full log is appended before the chain-of-custody page.
+ *
+ * Layout options:
+ *   tableOfContents      - adds contents pages after the cover, linking to
+ *                          each month (or each conversation, when sectioned)
+ *                          with its page number
+ *   conversationSections - renders each GHL conversation as its own section,
+ *                          starting on a new page, instead of one merged
+ *                          chronological list
+ * Either way the PDF gets bookmarks for the cover, each month (grouped by
+ * conversation when sectioned) and the appendices.
+ *
+ * `branding` (the location's branding settings) puts the firm's logo, name,
+ * address and disclaimer on the cover, the name and logo in every page
+ * header, the accent color on headings, and the firm as the PDF's author.
+ *
+ * `attachments` (a Map of attachment URL to downloaded file) embeds image
+ * attachments inline and points every attachment at its path in the
+ * export bundle, with its hash. `recordings` (a Map of message ID to
+ * downloaded call recording) does the same for call audio.
+ *
+ * Resolves with the page count and the Bates range used, if any.
  */
-function generatePDF(contact, messages, outputPath) {
+function generatePDF(contact, messages, outputPath, options = {}) {
   return new Promise((resolve, reject) => {
+    const brand = { ...branding.DEFAULTS, ...(options.branding || {}) };
     const doc = new PDFDocument({
       size: "LETTER",
+      font: FONT.regular,
+      bufferPages: true,
       margins: { top: MARGIN, bottom: MARGIN, left: MARGIN, right: MARGIN },
       info: {
         Title: `Conversation Export - ${contact.name || "Unknown"}`,
-        Author: "GoHighLevel Conversation Export",
+        Author: brand.firmName || "GoHighLevel Conversation Export",
+        Subject: `Conversation history of ${contact.name || "Unknown"}`,
         Creator: "ghl-conversation-export",
       },
     });
@@ -105,25 +114,170 @@ function generatePDF(contact, messages, outputPath) {
     const stream = fs.createWriteStream(outputPath);
     doc.pipe(stream);
 
-    const exportDate = formatFullDate(new Date().toISOString());
-    const ctx = { pageNum: 1, exportDate };
+    const tz = options.timezone || DEFAULT_TIMEZONE;
+    const exportDate = formatFullDate(new Date().toISOString(), tz);
+    const logo = branding.decodeLogo(brand.logo);
+    const ctx = {
+      pageNum: 1,
+      exportDate,
+      timezone: tz,
+      bates: options.bates || null,
+      legend: options.legend || null,
+      redactionLog: options.redactionLog || null,
+      attachments: options.attachments || null,
+      recordings: options.recordings || null,
+      filterLines: filters.describeExportFilters(options.filters, options.dateRange),
+      highlight: filters.keywordPattern(options.filters?.keywords),
+      brand,
+      accent: brand.accentColor || branding.DEFAULT_ACCENT,
+      // Opened once so every page header reuses the same embedded image
+      logo: logo ? doc.openImage(logo) : null,
+      branded: branding.isBranded(brand),
+      // Table of contents entries, in order: { title, dest, page }
+      marks: [],
+      contents: null,
+    };
 
     // --- Cover page ---
-    renderCoverPage(doc, contact, messages);
+    doc.outline.addItem("Cover");
+    renderCoverPage(doc, contact, messages, ctx);
+
+    // --- Table of contents (pages reserved here, filled in at the end) ---
+    const sections = buildSections(messages, Boolean(options.conversationSections), tz);
+    const appendices = (ctx.redactionLog ? 1 : 0) + (options.custody ? 1 : 0);
+    const entries = countContentsEntries(sections) + appendices;
+    if (options.tableOfContents && entries > 0) reserveContents(doc, ctx, entries);
 
     // --- Messages ---
     if (messages.length > 0) {
+      renderSections(doc, sections, ctx);
+    }
+
+    // --- Redaction log appendix ---
+    if (ctx.redactionLog) {
       newPage(doc, ctx);
-      renderMessages(doc, messages, ctx);
+      addMark(doc, ctx, "Redaction Log");
+      renderRedactionPage(doc, ctx.redactionLog, ctx);
     }
 
+    // --- Chain of custody appendix ---
+    if (options.custody) {
+      newPage(doc, ctx);
+      addMark(doc, ctx, "Chain of Custody");
+      renderCustodyPage(doc, options.custody, ctx);
+    }
+
+    if (ctx.contents) renderContents(doc, ctx);
+
+    // --- Footers, page numbers and Bates stamps (needs the final page count) ---
+    const result = stampPages(doc, ctx);
+
     doc.end();
 
-    stream.on("finish", () => resolve(outputPath));
+    stream.on("finish", () => resolve({ outputPath, ...result }));
     stream.on("error", reject);
   });
 }
 
+/**
+ * Draw the firm's logo and name above the top margin of a page.
+ */
+function renderPageHeader(doc, ctx) {
+  let x = MARGIN;
+  if (ctx.logo) {
+    doc.image(ctx.logo, x, HEADER_Y, { fit: [80, HEADER_LOGO_HEIGHT], align: "left", valign: "center" });
+    x += 90;
+  }
+  if (ctx.brand.firmName) {
+    doc.fontSize(9).fillColor(ctx.accent);
+    writeText(doc, ctx.brand.firmName, x, HEADER_Y + 4, {
+      style: "bold",
+      width: PAGE_WIDTH - MARGIN - x,
+      align: "left",
+      lineBreak: false,
+    });
+  }
+  doc
+    .moveTo(MARGIN, HEADER_Y + HEADER_LOGO_HEIGHT + 6)
+    .lineTo(PAGE_WIDTH - MARGIN, HEADER_Y + HEADER_LOGO_HEIGHT + 6)
+    .strokeColor(ctx.accent)
+    .lineWidth(0.5)
+    .stroke();
+}
+
+/**
+ * Draw the footer on every buffered page: legend on the left, "Page X of Y"
+ * in the middle, Bates number on the right. Pages after the cover also get
+ * the branded header. Also fills in the Bates range reserved on the cover
+ * page.
+ */
+function stampPages(doc, ctx) {
+  const range = doc.bufferedPageRange();
+  const pageCount = range.count;
+  const bates = ctx.bates
+    ? {
+        first: batesLabel(ctx.bates, ctx.bates.start),
+        last: batesLabel(ctx.bates, ctx.bates.start + pageCount - 1),
+        next: ctx.bates.start + pageCount,
+      }
+    : null;
+
+  for (let i = range.start; i < range.start + pageCount; i++) {
+    doc.switchToPage(i);
+    // Footer sits below the bottom margin; stop PDFKit from adding a page
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+
+    if (i > range.start && (ctx.logo || ctx.brand.firmName)) renderPageHeader(doc, ctx);
+
+    doc
+      .moveTo(MARGIN, FOOTER_Y - 6)
+      .lineTo(PAGE_WIDTH - MARGIN, FOOTER_Y - 6)
+      .strokeColor(LIGHT_GRAY)
+      .lineWidth(0.5)
+      .stroke();
+
+    doc.fontSize(8).font(FONT.regular).fillColor(GRAY);
+    doc.text(`Page ${i - range.start + 1} of ${pageCount}`, MARGIN, FOOTER_Y, {
+      width: CONTENT_WIDTH,
+      align: "center",
+      lineBreak: false,
+    });
+
+    if (ctx.legend) {
+      doc.fontSize(8).fillColor(DARK);
+      writeText(doc, ctx.legend, MARGIN, FOOTER_Y, {
+        style: "bold",
+        width: CONTENT_WIDTH / 2 - 40,
+        align: "left",
+        lineBreak: false,
+      });
+    }
+
+    if (ctx.bates) {
+      doc.fontSize(9).font(FONT.bold).fillColor(DARK);
+      doc.text(batesLabel(ctx.bates, ctx.bates.start + i - range.start), MARGIN, FOOTER_Y, {
+        width: CONTENT_WIDTH,
+        align: "right",
+        lineBreak: false,
+      });
+    }
+
+    doc.page.margins.bottom = bottomMargin;
+  }
+
+  if (bates && ctx.coverBatesY) {
+    doc.switchToPage(range.start);
+    doc.fontSize(14).font(FONT.bold).fillColor(DARK);
+    doc.text(`${bates.first} – ${bates.last}`, MARGIN, ctx.coverBatesY, {
+      width: CONTENT_WIDTH,
+      align: "center",
+    });
+  }
+
+  return { pageCount, bates };
+}
+
 function newPage(doc, ctx) {
   doc.addPage();
   ctx.pageNum++;
@@ -138,9 +292,43 @@ function checkPageBreak(doc, ctx, needed) {
   return false;
 }
 
-function renderCoverPage(doc, contact, messages) {
-  doc.moveDown(4);
-  doc.fontSize(28).font("Helvetica-Bold").fillColor(DARK);
+/**
+ * The firm's logo, name and address at the top of the cover page.
+ */
+function renderCoverBranding(doc, ctx) {
+  const { firmName, address } = ctx.brand;
+  if (ctx.logo) {
+    const width = 200;
+    const height = 70;
+    doc.image(ctx.logo, (PAGE_WIDTH - width) / 2, doc.y, { fit: [width, height], align: "center", valign: "center" });
+    doc.y += height + 10;
+  }
+  if (firmName) {
+    doc.fontSize(14).fillColor(DARK);
+    writeText(doc, firmName, MARGIN, doc.y, {
+      style: "bold",
+      width: CONTENT_WIDTH,
+      align: "center",
+    });
+  }
+  if (address) {
+    doc.moveDown(0.2);
+    doc.fontSize(9).fillColor(GRAY);
+    writeText(doc, address, MARGIN, doc.y, {
+      width: CONTENT_WIDTH,
+      align: "center",
+    });
+  }
+  doc.moveDown(2);
+}
+
+function renderCoverPage(doc, contact, messages, ctx) {
+  if (ctx.logo || ctx.brand.firmName || ctx.brand.address) {
+    renderCoverBranding(doc, ctx);
+  } else {
+    doc.moveDown(4);
+  }
+  doc.fontSize(28).font(FONT.bold).fillColor(ctx.branded ? ctx.accent : DARK);
   doc.text("CONVERSATION EXPORT", MARGIN, doc.y, {
     width: CONTENT_WIDTH,
     align: "center",
@@ -151,36 +339,37 @@ function renderCoverPage(doc, contact, messages) {
   doc
     .moveTo(MARGIN + 100, doc.y)
     .lineTo(PAGE_WIDTH - MARGIN - 100, doc.y)
-    .strokeColor(LIGHT_GRAY)
+    .strokeColor(ctx.branded ? ctx.accent : LIGHT_GRAY)
     .lineWidth(2)
     .stroke();
 
   doc.moveDown(2);
 
-  doc.fontSize(12).font("Helvetica").fillColor(GRAY);
+  doc.fontSize(12).font(FONT.regular).fillColor(GRAY);
   doc.text("Contact", MARGIN, doc.y, {
     width: CONTENT_WIDTH,
     align: "center",
   });
   doc.moveDown(0.3);
-  doc.fontSize(20).font("Helvetica-Bold").fillColor(DARK);
-  doc.text(contact.name || "Unknown Contact", MARGIN, doc.y, {
+  doc.fontSize(20).fillColor(DARK);
+  writeText(doc, contact.name || "Unknown Contact", MARGIN, doc.y, {
+    style: "bold",
     width: CONTENT_WIDTH,
     align: "center",
   });
 
   doc.moveDown(1);
 
-  doc.fontSize(11).font("Helvetica").fillColor(GRAY);
+  doc.fontSize(11).fillColor(GRAY);
   if (contact.email) {
-    doc.text(`Email: ${contact.email}`, MARGIN, doc.y, {
+    writeText(doc, `Email: ${contact.email}`, MARGIN, doc.y, {
       width: CONTENT_WIDTH,
       align: "center",
     });
     doc.moveDown(0.3);
   }
   if (contact.phone) {
-    doc.text(`Phone: ${contact.phone}`, MARGIN, doc.y, {
+    writeText(doc, `Phone: ${contact.phone}`, MARGIN, doc.y, {
       width: CONTENT_WIDTH,
       align: "center",
     });
@@ -197,24 +386,28 @@ function renderCoverPage(doc, contact, messages) {
     .stroke();
   doc.moveDown(1.5);
 
-  const stats = getMessageStats(messages);
+  const stats = getMessageStats(messages, ctx.timezone);
   const statsData = [
     { label: "Total Messages", value: messages.length.toLocaleString() },
     { label: "Date Range", value: stats.dateRange },
     {
       label: "Export Date",
-      value: formatFullDate(new Date().toISOString()),
+      value: ctx.exportDate,
+    },
+    {
+      label: "Time Zone",
+      value: `${ctx.timezone} (${timezoneLabel(new Date(), ctx.timezone)})`,
     },
   ];
 
   for (const stat of statsData) {
-    doc.fontSize(10).font("Helvetica").fillColor(GRAY);
+    doc.fontSize(10).font(FONT.regular).fillColor(GRAY);
     doc.text(stat.label, MARGIN, doc.y, {
       width: CONTENT_WIDTH,
       align: "center",
     });
     doc.moveDown(0.2);
-    doc.fontSize(14).font("Helvetica-Bold").fillColor(DARK);
+    doc.fontSize(14).font(FONT.bold).fillColor(DARK);
     doc.text(stat.value, MARGIN, doc.y, {
       width: CONTENT_WIDTH,
       align: "center",
@@ -222,23 +415,260 @@ function renderCoverPage(doc, contact, messages) {
     doc.moveDown(1);
   }
 
+  if (ctx.bates) {
+    doc.fontSize(10).font(FONT.regular).fillColor(GRAY);
+    doc.text("Bates Range", MARGIN, doc.y, {
+      width: CONTENT_WIDTH,
+      align: "center",
+    });
+    doc.moveDown(0.2);
+    // Filled in by stampPages once the page count is known
+    ctx.coverBatesY = doc.y;
+    doc.fontSize(14).font(FONT.bold);
+    doc.moveDown(2);
+  }
+
+  if (ctx.legend) {
+    doc.moveDown(0.5);
+    doc.fontSize(12).fillColor(DARK);
+    writeText(doc, ctx.legend, MARGIN, doc.y, {
+      style: "bold",
+      width: CONTENT_WIDTH,
+      align: "center",
+    });
+    doc.moveDown(1);
+  }
+
+  if (ctx.filterLines.length > 0) {
+    doc.fontSize(10).font(FONT.regular).fillColor(GRAY);
+    doc.text("Filters Applied", MARGIN, doc.y, {
+      width: CONTENT_WIDTH,
+      align: "center",
+    });
+    doc.moveDown(0.2);
+    doc.fontSize(11).fillColor(DARK);
+    for (const line of ctx.filterLines) {
+      writeText(doc, line, MARGIN, doc.y, {
+        style: "bold",
+        width: CONTENT_WIDTH,
+        align: "center",
+      });
+    }
+    doc.moveDown(1);
+  }
+
+  if (ctx.redactionLog) {
+    const totals = redaction.summarize(ctx.redactionLog);
+    const summary = Object.entries(totals)
+      .map(([type, count]) => `${redaction.typeLabel(type)}: ${count}`)
+      .join(", ");
+    doc.fontSize(10).font(FONT.regular).fillColor(GRAY);
+    doc.text("Redactions", MARGIN, doc.y, {
+      width: CONTENT_WIDTH,
+      align: "center",
+    });
+    doc.moveDown(0.2);
+    doc.fontSize(11).font(FONT.bold).fillColor(RED);
+    doc.text(summary || "None found", MARGIN, doc.y, {
+      width: CONTENT_WIDTH,
+      align: "center",
+    });
+    doc.moveDown(1);
+  }
+
   if (stats.channels.length > 0) {
     doc.moveDown(0.5);
-    doc.fontSize(10).font("Helvetica").fillColor(GRAY);
+    doc.fontSize(10).font(FONT.regular).fillColor(GRAY);
     doc.text("Channels: " + stats.channels.join(", "), MARGIN, doc.y, {
       width: CONTENT_WIDTH,
       align: "center",
     });
   }
+
+  if (ctx.brand.disclaimer) {
+    doc.moveDown(2);
+    doc.fontSize(8).fillColor(GRAY);
+    writeText(doc, ctx.brand.disclaimer, MARGIN, doc.y, {
+      width: CONTENT_WIDTH,
+      align: "justify",
+    });
+  }
+}
+
+/**
+ * One-line summary of the message filter rules an export applied.
+ */
+function describeMessageRules(rules) {
+  const parts = [
+    rules.activityMessages ? "activity messages kept" : "activity messages excluded",
+    ...(rules.activityTypePrefix ? ["all TYPE_ACTIVITY_* types treated as activity"] : []),
+    rules.systemPatterns ? "system notices excluded" : "system notices kept",
+    rules.internalNotes ? "internal notes kept" : "internal notes excluded",
+  ];
+  const custom = rules.excludePatterns || [];
+  if (custom.length > 0) parts.push(`excluding ${custom.map((p) => `/${p}/`).join(", ")}`);
+  return parts.join("; ");
+}
+
+function renderCustodyPage(doc, record, ctx) {
+  doc.fontSize(16).font(FONT.bold).fillColor(DARK);
+  doc.text("Chain of Custody", MARGIN, doc.y, { width: CONTENT_WIDTH });
+  doc.moveDown(0.5);
+
+  const exporter = record.exportedBy || {};
+  const dateRange = record.filters?.dateRange || {};
+  const rows = [
+    ["Export ID", record.jobId],
+    ["Exported at (UTC)", record.exportedAt],
+    [
+      "Exported by",
+      [exporter.userName, exporter.email, exporter.userId && `user ${exporter.userId}`]
+        .filter(Boolean)
+        .join(" / ") || "Unknown",
+    ],
+    ["Role", exporter.role || "—"],
+    ["Location ID", record.locationId],
+    ["Contact ID", record.contact?.id || "—"],
+    ["Format", (record.format || "pdf").toUpperCase()],
+    [
+      "Date filter",
+      `${dateRange.startDate || "beginning"} to ${dateRange.endDate || "latest"}` +
+        (record.filters?.timezone ? ` (${record.filters.timezone})` : ""),
+    ],
+    ["Messages", String(record.messageCount)],
+    [`Message set ${record.hashAlgorithm}`, record.messageSetSha256],
+  ];
+  const contentFilters = filters.describeExportFilters(record.filters);
+  if (contentFilters.length > 0) {
+    rows.splice(rows.length - 2, 0, ["Content filters", contentFilters.join("; ")]);
+  }
+  if (record.filters?.messages) {
+    rows.splice(rows.length - 2, 0, ["Message rules", describeMessageRules(record.filters.messages)]);
+  }
+  if (record.recordings) {
+    const included = record.recordings.filter((r) => !r.error).length;
+    const failed = record.recordings.length - included;
+    rows.splice(rows.length - 1, 0, [
+      "Call recordings",
+      `${included} included in the export bundle` + (failed ? `, ${failed} could not be downloaded` : ""),
+    ]);
+  }
+  if (record.attachments) {
+    const included = record.attachments.filter((a) => !a.error).length;
+    const failed = record.attachments.length - included;
+    rows.splice(rows.length - 1, 0, [
+      "Attachments",
+      `${included} included in the export bundle` + (failed ? `, ${failed} could not be downloaded` : ""),
+    ]);
+  }
+
+  for (const [label, value] of rows) {
+    const y = doc.y;
+    doc.fontSize(9).font(FONT.bold).fillColor(GRAY);
+    doc.text(label, MARGIN, y, { width: 140 });
+    if (label.startsWith("Message set")) {
+      doc.fontSize(9).font("Courier").fillColor(DARK);
+      doc.text(value, MARGIN + 150, y, { width: CONTENT_WIDTH - 150 });
+    } else {
+      doc.fontSize(9).fillColor(DARK);
+      writeText(doc, value, MARGIN + 150, y, { width: CONTENT_WIDTH - 150 });
+    }
+    doc.moveDown(0.4);
+  }
+
+  doc.moveDown(0.5);
+  doc.fontSize(8.5).font(FONT.italic).fillColor(GRAY);
+  doc.text(
+    "The message set hash is a SHA-256 over the canonical JSON of the exported messages, in the order shown. " +
+      "A file cannot contain its own hash, so the SHA-256 of this PDF is recorded in the sidecar manifest " +
+      "(<file>.manifest.json) and in the custody record kept on the server under the Export ID above.",
+    MARGIN,
+    doc.y,
+    { width: CONTENT_WIDTH, lineGap: 1 }
+  );
+
+  if (record.messageIds?.length > 0) {
+    doc.moveDown(1);
+    doc.fontSize(10).font(FONT.bold).fillColor(DARK);
+    doc.text(`Message IDs (${record.messageIds.length})`, MARGIN, doc.y, { width: CONTENT_WIDTH });
+    doc.moveDown(0.3);
+    doc.fontSize(7).font("Courier").fillColor(DARK);
+    for (let i = 0; i < record.messageIds.length; i += 3) {
+      checkPageBreak(doc, ctx, 10);
+      const line = record.messageIds
+        .slice(i, i + 3)
+        .map((id, j) => `${String(i + j + 1).padStart(5, " ")}. ${id}`)
+        .join("   ");
+      doc.text(line, MARGIN, doc.y, { width: CONTENT_WIDTH, lineBreak: false });
+      doc.moveDown(0.1);
+    }
+  }
+}
+
+function renderRedactionPage(doc, log, ctx) {
+  doc.fontSize(16).font(FONT.bold).fillColor(DARK);
+  doc.text("Redaction Log", MARGIN, doc.y, { width: CONTENT_WIDTH });
+  doc.moveDown(0.5);
+  doc.fontSize(8.5).font(FONT.italic).fillColor(GRAY);
+  doc.text(
+    `Personal information was replaced with ${redaction.MARKER} before this document was generated. ` +
+      "Each row records where a redaction was made; the redacted values themselves are not retained.",
+    MARGIN,
+    doc.y,
+    { width: CONTENT_WIDTH, lineGap: 1 }
+  );
+  doc.moveDown(0.8);
+
+  if (log.length === 0) {
+    doc.fontSize(10).font(FONT.regular).fillColor(DARK);
+    doc.text("No personal information matched the redaction rules.", MARGIN, doc.y, { width: CONTENT_WIDTH });
+    return;
+  }
+
+  const columns = [
+    { label: "Date", x: MARGIN, width: 110 },
+    { label: "Message ID", x: MARGIN + 115, width: 150 },
+    { label: "Field", x: MARGIN + 270, width: 70 },
+    { label: "Type", x: MARGIN + 345, width: 120 },
+    { label: "Count", x: MARGIN + 470, width: CONTENT_WIDTH - 470 },
+  ];
+
+  const drawRow = (values, font, color) => {
+    const y = doc.y;
+    doc.fontSize(8).font(font).fillColor(color);
+    columns.forEach((col, i) => {
+      doc.text(values[i], col.x, y, { width: col.width, lineBreak: false, ellipsis: true });
+    });
+    doc.y = y + 12;
+  };
+
+  drawRow(columns.map((c) => c.label), FONT.bold, GRAY);
+  for (const entry of log) {
+    if (checkPageBreak(doc, ctx, 12)) {
+      drawRow(columns.map((c) => c.label), FONT.bold, GRAY);
+    }
+    drawRow(
+      [
+        // Contact details have no message
+        entry.dateAdded ? `${formatDate(entry.dateAdded, ctx.timezone)} ${formatTime(entry.dateAdded, ctx.timezone)}` : "—",
+        entry.messageId || "—",
+        entry.field,
+        redaction.typeLabel(entry.type),
+        String(entry.count),
+      ],
+      FONT.regular,
+      DARK
+    );
+  }
 }
 
-function getMessageStats(messages) {
+function getMessageStats(messages, timeZone) {
   if (messages.length === 0) {
     return { dateRange: "N/A", channels: [] };
   }
   const first = messages[0];
   const last = messages[messages.length - 1];
-  const dateRange = `${formatDate(first.dateAdded)} – ${formatDate(last.dateAdded)}`;
+  const dateRange = `${formatDate(first.dateAdded, timeZone)} – ${formatDate(last.dateAdded, timeZone)}`;
   const channelSet = new Set();
   for (const msg of messages) {
     channelSet.add(messageTypeLabel(msg));
@@ -246,19 +676,161 @@ function getMessageStats(messages) {
   return { dateRange, channels: [...channelSet] };
 }
 
-function renderMessages(doc, messages, ctx) {
+// --- Sections, bookmarks and table of contents ---
+
+function monthLabel(key) {
+  const [year, month] = key.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString("en-US", {
+    timeZone: "UTC",
+    year: "numeric",
+    month: "long",
+  });
+}
+
+/**
+ * Split messages (oldest first) into the sections the PDF is laid out in:
+ * one per conversation, ordered by first message, or a single untitled
+ * section. Each section lists the months (YYYY-MM in `timeZone`) it spans.
+ */
+function buildSections(messages, byConversation, timeZone) {
+  const groups = new Map();
+  for (const msg of messages) {
+    const key = byConversation ? msg.conversationId || "unknown" : "all";
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(msg);
+  }
+
+  return [...groups.values()].map((group, i) => {
+    const months = [...new Set(group.map((m) => localDate(m.dateAdded, timeZone).slice(0, 7)))];
+    if (!byConversation) return { title: null, messages: group, months };
+
+    const channels = [...new Set(group.map(messageTypeLabel))].join(", ");
+    const first = formatDate(group[0].dateAdded, timeZone);
+    const last = formatDate(group[group.length - 1].dateAdded, timeZone);
+    const count = `${group.length.toLocaleString()} message${group.length === 1 ? "" : "s"}`;
+    return {
+      title: `Conversation ${i + 1}: ${channels}`,
+      subtitle: `${first === last ? first : `${first} – ${last}`} · ${count}`,
+      messages: group,
+      months,
+    };
+  });
+}
+
+// Sectioned exports list conversations in the contents; their months are
+// only bookmarked, which keeps the contents short for long histories
+function countContentsEntries(sections) {
+  return sections.reduce((sum, section) => sum + (section.title ? 1 : section.months.length), 0);
+}
+
+/**
+ * Bookmark the current position (under `parent`, or at the top level) and,
+ * unless `contents` is false, list it in the table of contents if there is
+ * one. Returns the bookmark.
+ */
+function addMark(doc, ctx, title, { parent = doc.outline, contents = true } = {}) {
+  if (contents && ctx.contents) {
+    const dest = `section-${ctx.marks.length + 1}`;
+    doc.addNamedDestination(dest, "XYZ", null, doc.y, null);
+    ctx.marks.push({ title, dest, page: doc.bufferedPageRange().count });
+  }
+  return parent.addItem(title);
+}
+
+/**
+ * Add blank pages after the cover for `entries` contents lines, so the
+ * page numbers of everything after them are final.
+ */
+function reserveContents(doc, ctx, entries) {
+  const pages = Math.max(1, Math.ceil(entries / CONTENTS_LINES_PER_PAGE));
+  for (let i = 0; i < pages; i++) {
+    newPage(doc, ctx);
+    if (i === 0) {
+      doc.outline.addItem("Contents");
+      ctx.contents = { firstPage: doc.bufferedPageRange().count - 1, pages };
+    }
+  }
+}
+
+/**
+ * Fill the reserved contents pages: one linked line per entry, with the
+ * page it starts on.
+ */
+function renderContents(doc, ctx) {
+  const { firstPage, pages } = ctx.contents;
+  for (let p = 0; p < pages; p++) {
+    doc.switchToPage(firstPage + p);
+    doc.fontSize(18).font(FONT.bold).fillColor(DARK);
+    doc.text(p === 0 ? "Contents" : "Contents (continued)", MARGIN, MARGIN, { width: CONTENT_WIDTH });
+
+    const lines = ctx.marks.slice(p * CONTENTS_LINES_PER_PAGE, (p + 1) * CONTENTS_LINES_PER_PAGE);
+    lines.forEach((mark, i) => {
+      const y = MARGIN + CONTENTS_HEADING_HEIGHT + i * CONTENTS_LINE_HEIGHT;
+      doc.fontSize(11).font(FONT.regular).fillColor(DARK);
+      doc.text(mark.title, MARGIN, y, {
+        width: CONTENT_WIDTH - 50,
+        lineBreak: false,
+        ellipsis: true,
+      });
+      doc.text(String(mark.page), MARGIN, y, { width: CONTENT_WIDTH, align: "right", lineBreak: false });
+      doc.goTo(MARGIN, y - 3, CONTENT_WIDTH, CONTENTS_LINE_HEIGHT, mark.dest);
+    });
+  }
+}
+
+function renderSectionHeading(doc, section) {
+  doc.fontSize(16).font(FONT.bold).fillColor(DARK);
+  doc.text(section.title, MARGIN, doc.y, { width: CONTENT_WIDTH });
+  doc.moveDown(0.2);
+  doc.fontSize(10).font(FONT.regular).fillColor(GRAY);
+  doc.text(section.subtitle, MARGIN, doc.y, { width: CONTENT_WIDTH });
+  doc.moveDown(0.5);
+  doc
+    .moveTo(MARGIN, doc.y)
+    .lineTo(PAGE_WIDTH - MARGIN, doc.y)
+    .strokeColor(LIGHT_GRAY)
+    .lineWidth(1)
+    .stroke();
+  doc.moveDown(1);
+}
+
+/**
+ * Render every section, each on a new page, bookmarking conversations and
+ * the months within them.
+ */
+function renderSections(doc, sections, ctx) {
+  for (const section of sections) {
+    newPage(doc, ctx);
+    let parent = doc.outline;
+    if (section.title) {
+      parent = addMark(doc, ctx, section.title);
+      renderSectionHeading(doc, section);
+    }
+    renderMessages(doc, section.messages, ctx, { parent, contents: !section.title });
+  }
+}
+
+function renderMessages(doc, messages, ctx, { parent = doc.outline, contents = true } = {}) {
+  let month = null;
   for (let i = 0; i < messages.length; i++) {
+    const msgMonth = localDate(messages[i].dateAdded, ctx.timezone).slice(0, 7);
+    if (msgMonth !== month) {
+      // Break first, so the bookmark lands where the message is drawn
+      checkPageBreak(doc, ctx, 60);
+      addMark(doc, ctx, monthLabel(msgMonth), { parent, contents });
+      month = msgMonth;
+    }
     renderMessage(doc, messages[i], i, ctx);
   }
 }
 
 function renderMessage(doc, msg, index, ctx) {
   const isOutbound = msg.direction === "outbound";
-  const dirColor = isOutbound ? BLUE : GREEN;
+  const dirColor = isOutbound ? ctx.accent : GREEN;
   const dirLabel = isOutbound ? "OUTBOUND" : "INBOUND";
   const channel = messageTypeLabel(msg);
-  const date = formatDate(msg.dateAdded);
-  const time = formatTime(msg.dateAdded);
+  const date = formatDate(msg.dateAdded, ctx.timezone);
+  const time = `${formatTime(msg.dateAdded, ctx.timezone)} ${timezoneLabel(msg.dateAdded, ctx.timezone)}`;
 
   checkPageBreak(doc, ctx, 60);
 
@@ -275,49 +847,63 @@ function renderMessage(doc, msg, index, ctx) {
   }
 
   // Header
-  doc.fontSize(9).font("Helvetica-Bold").fillColor(dirColor);
+  doc.fontSize(9).font(FONT.bold).fillColor(dirColor);
   doc.text(`[${dirLabel}]`, MARGIN, doc.y, { continued: true });
-  doc.font("Helvetica").fillColor(GRAY);
+  doc.font(FONT.regular).fillColor(GRAY);
   doc.text(`   ${date}  ${time}  -  ${channel}`, { continued: false });
   doc.moveDown(0.3);
 
   // Body
   if (msg.messageType === "CALL" || channel === "Call") {
-    renderCallMessage(doc, msg);
+    renderCallMessage(doc, msg, ctx);
   } else if (channel === "Email") {
-    renderEmailMessage(doc, msg);
+    renderEmailMessage(doc, msg, ctx);
   } else {
-    renderTextMessage(doc, msg);
+    renderTextMessage(doc, msg, ctx);
   }
 
   doc.moveDown(0.3);
 }
 
-function renderTextMessage(doc, msg) {
+/**
+ * Write message text, drawing redaction markers in bold red and matches
+ * for the export's keyword filter bold and underlined in amber.
+ */
+function writeMarked(doc, text, x, ctx, options = {}) {
+  const { style = "regular", color = DARK, ...textOptions } = options;
+  const pieces = markSegments(text, ctx.highlight).map((seg) => {
+    const mark = MARK_STYLES[seg.mark] || { color, underline: false };
+    return { text: seg.text, style: seg.mark ? "bold" : style, color: mark.color, underline: mark.underline };
+  });
+  writeText(doc, pieces, x, doc.y, textOptions);
+}
+
+function renderTextMessage(doc, msg, ctx) {
   const body = getMessageBody(msg);
   if (!body) return;
 
-  doc.fontSize(10).font("Helvetica").fillColor(DARK);
-  doc.text(body, MARGIN + 10, doc.y, {
+  doc.fontSize(10);
+  writeMarked(doc, body, MARGIN + 10, ctx, {
     width: CONTENT_WIDTH - 20,
     lineGap: 2,
   });
-  renderAttachments(doc, msg);
+  renderAttachments(doc, msg, ctx);
 }
 
-function renderEmailMessage(doc, msg) {
+function renderEmailMessage(doc, msg, ctx) {
   if (msg.subject) {
-    doc.fontSize(10).font("Helvetica-Bold").fillColor(DARK);
-    doc.text(`Subject: ${msg.subject}`, MARGIN + 10, doc.y, {
+    doc.fontSize(10);
+    writeMarked(doc, `Subject: ${msg.subject}`, MARGIN + 10, ctx, {
+      style: "bold",
       width: CONTENT_WIDTH - 20,
     });
     doc.moveDown(0.2);
   }
 
   if (msg.from || msg.to) {
-    doc.fontSize(9).font("Helvetica").fillColor(GRAY);
+    doc.fontSize(9).fillColor(GRAY);
     const fromTo = [msg.from, msg.to].filter(Boolean).join(" → ");
-    doc.text(fromTo, MARGIN + 10, doc.y, { width: CONTENT_WIDTH - 20 });
+    writeText(doc, fromTo, MARGIN + 10, doc.y, { width: CONTENT_WIDTH - 20 });
     doc.moveDown(0.2);
 
     doc
@@ -331,27 +917,22 @@ function renderEmailMessage(doc, msg) {
     doc.moveDown(0.3);
   }
 
-  let body = "";
-  if (msg.html || msg.body) {
-    body = stripHtml(msg.html || msg.body);
-  } else if (msg.text) {
-    body = msg.text;
-  }
+  const body = getEmailText(msg);
 
   if (body) {
     const maxChars = 3000;
     const truncated = body.length > maxChars;
     const displayBody = truncated ? body.substring(0, maxChars) : body;
 
-    doc.fontSize(10).font("Helvetica").fillColor(DARK);
-    doc.text(displayBody, MARGIN + 10, doc.y, {
+    doc.fontSize(10);
+    writeMarked(doc, displayBody, MARGIN + 10, ctx, {
       width: CONTENT_WIDTH - 20,
       lineGap: 2,
     });
 
     if (truncated) {
       doc.moveDown(0.2);
-      doc.fontSize(9).font("Helvetica-Oblique").fillColor(GRAY);
+      doc.fontSize(9).font(FONT.italic).fillColor(GRAY);
       doc.text(
         "[Email truncated — full content exceeds display limit]",
         MARGIN + 10,
@@ -361,15 +942,16 @@ function renderEmailMessage(doc, msg) {
     }
   }
 
-  renderAttachments(doc, msg);
+  renderAttachments(doc, msg, ctx);
 }
 
-function renderCallMessage(doc, msg) {
-  doc.fontSize(10).font("Helvetica").fillColor(DARK);
+function renderCallMessage(doc, msg, ctx) {
+  doc.fontSize(10).font(FONT.regular).fillColor(DARK);
 
   const parts = [];
-  if (msg.callDuration) {
-    parts.push(`Duration: ${formatDuration(msg.callDuration)}`);
+  const duration = getCallDuration(msg);
+  if (duration) {
+    parts.push(`Duration: ${formatDuration(duration)}`);
   }
   if (msg.callStatus || msg.status) {
     parts.push(`Status: ${msg.callStatus || msg.status}`);
@@ -382,18 +964,18 @@ function renderCallMessage(doc, msg) {
     doc.moveDown(0.2);
   }
 
+  const recording = ctx.recordings?.get(msg.id);
+  if (recording) renderRecordingReference(doc, recording);
+
   if (msg.transcription) {
-    const transcriptText =
-      typeof msg.transcription === "string"
-        ? msg.transcription
-        : JSON.stringify(msg.transcription);
+    const transcriptText = getTranscriptText(msg);
 
-    doc.fontSize(9).font("Helvetica-Oblique").fillColor(GRAY);
+    doc.fontSize(9).font(FONT.italic).fillColor(GRAY);
     doc.text("Transcription:", MARGIN + 10, doc.y, {
       width: CONTENT_WIDTH - 20,
     });
     doc.moveDown(0.1);
-    doc.fontSize(10).font("Helvetica").fillColor(DARK);
+    doc.fontSize(10);
 
     const maxChars = 2000;
     const truncated = transcriptText.length > maxChars;
@@ -401,34 +983,78 @@ function renderCallMessage(doc, msg) {
       ? transcriptText.substring(0, maxChars)
       : transcriptText;
 
-    doc.text(
-      `"${displayText}${truncated ? "..." : ""}"`,
-      MARGIN + 10,
-      doc.y,
-      { width: CONTENT_WIDTH - 20, lineGap: 2 }
-    );
+    writeMarked(doc, `"${displayText}${truncated ? "..." : ""}"`, MARGIN + 10, ctx, {
+      width: CONTENT_WIDTH - 20,
+      lineGap: 2,
+    });
   }
 }
 
-function renderAttachments(doc, msg) {
+function renderAttachments(doc, msg, ctx) {
   const attachments = msg.attachments || [];
   if (attachments.length === 0) return;
 
   doc.moveDown(0.2);
-  doc.fontSize(9).font("Helvetica-Oblique").fillColor(GRAY);
-  for (const att of attachments) {
-    const name =
-      typeof att === "string"
-        ? att.split("/").pop()
-        : att.name || att.url || "attachment";
-    doc.text(`[attachment: ${name}]`, MARGIN + 10, doc.y, {
+  for (const [index, att] of attachments.entries()) {
+    const file = ctx.attachments?.get(attachmentKey(msg.id, index));
+    if (file?.inline) renderInlineImage(doc, file, ctx);
+
+    doc.fontSize(9).fillColor(GRAY);
+    writeText(doc, `[attachment: ${attachmentName(att)}]`, MARGIN + 10, doc.y, {
+      style: "italic",
+      width: CONTENT_WIDTH - 20,
+    });
+    if (!file) continue;
+
+    doc.fontSize(7.5).font("Courier").fillColor(GRAY);
+    const reference = file.error
+      ? `not included: ${file.error}`
+      : `${file.path}  SHA-256 ${file.sha256}`;
+    doc.text(reference, MARGIN + 10, doc.y, { width: CONTENT_WIDTH - 20 });
+    doc.moveDown(0.2);
+  }
+}
+
+function renderRecordingReference(doc, recording) {
+  doc.fontSize(9).font(FONT.italic).fillColor(GRAY);
+  if (recording.error) {
+    doc.text(`[recording not included: ${recording.error}]`, MARGIN + 10, doc.y, {
+      width: CONTENT_WIDTH - 20,
+    });
+  } else {
+    const length = recording.durationSeconds ? ` (${formatDuration(recording.durationSeconds)})` : "";
+    doc.text(`[recording: ${recording.path}${length}]`, MARGIN + 10, doc.y, {
       width: CONTENT_WIDTH - 20,
     });
+    doc.fontSize(7.5).font("Courier").fillColor(GRAY);
+    doc.text(`SHA-256 ${recording.sha256}`, MARGIN + 10, doc.y, { width: CONTENT_WIDTH - 20 });
   }
+  doc.moveDown(0.2);
 }
 
-function getMessageBody(msg) {
-  return msg.body || msg.text || msg.message || "";
+const MAX_IMAGE_HEIGHT = 360;
+
+/**
+ * Draw an image attachment scaled to the content width (never enlarged),
+ * starting a new page if it doesn't fit on this one.
+ */
+function renderInlineImage(doc, file, ctx) {
+  let image;
+  try {
+    image = doc.openImage(file.localPath);
+  } catch (err) {
+    console.error(`Could not embed ${file.path}:`, err.message);
+    return;
+  }
+
+  const maxWidth = CONTENT_WIDTH - 20;
+  const scale = Math.min(1, maxWidth / image.width, MAX_IMAGE_HEIGHT / image.height);
+  const width = image.width * scale;
+  const height = image.height * scale;
+
+  checkPageBreak(doc, ctx, height + 10);
+  doc.image(image, MARGIN + 10, doc.y, { width, height });
+  doc.y += height + 4;
 }
 
 module.exports = { generatePDF };
@@ -0,0 +1,250 @@
+const bidiFactory = require("bidi-js");
+const fonts = require("./fonts");
+
+// Drawing text that needs more than one font or right-to-left ordering.
+// Text one font can draw left to right goes straight to PDFKit. Anything
+// else is laid out here: runs are measured per font, lines broken at
+// spaces (or anywhere, for words wider than the line), each line reordered
+// with the Unicode bidi algorithm, and its pieces drawn on one baseline.
+
+const bidi = bidiFactory();
+
+const RTL_SCRIPT = /[\p{Script=Arabic}\p{Script=Hebrew}]/u;
+const SCRIPTED = /[^\p{Script=Common}\p{Script=Inherited}\p{Script=Unknown}]/u;
+const TOKEN = /\S*\s*/g;
+const ELLIPSIS = "…";
+const FEATURES = ["kern"];
+
+/**
+ * Whether fontkit will lay `text` out right to left: it goes by the first
+ * character that belongs to a script, and reverses the glyphs itself.
+ */
+function laidOutRtl(text) {
+  const match = SCRIPTED.exec(text);
+  return Boolean(match && RTL_SCRIPT.test(match[0]));
+}
+
+function reverse(text) {
+  return [...text].reverse().join("");
+}
+
+// Brackets and the like face the other way in right-to-left text
+function mirror(text) {
+  return [...text].map((char) => bidi.getMirroredCharacter(char) || char).join("");
+}
+
+/**
+ * Draw `content` the way `doc.text(content, x, y, options)` would.
+ * `content` is a string or a list of `{ text, style, color, underline }`
+ * pieces; `options.style` ("regular", "bold" or "italic") is the default
+ * style. Pieces without a color use the current fill color.
+ */
+function writeText(doc, content, x, y, options = {}) {
+  const { style = "regular", ...textOptions } = options;
+  const pieces = typeof content === "string" ? [{ text: content }] : content;
+  const runs = pieces.flatMap((piece) =>
+    fonts.splitRuns(piece.text, piece.style || style).map((run) => ({
+      ...run,
+      color: piece.color,
+      underline: piece.underline,
+    }))
+  );
+  const text = runs.map((run) => run.text).join("");
+
+  if (runs.length <= 1 && !RTL_SCRIPT.test(text)) {
+    const run = runs[0] || { text: "", font: fonts.baseFont(style) };
+    doc.font(run.font);
+    if (run.color) doc.fillColor(run.color);
+    doc.text(run.text, x, y, { ...textOptions, underline: run.underline ?? textOptions.underline });
+    return;
+  }
+  layOut(doc, runs, text, x ?? doc.x, y ?? doc.y, textOptions);
+}
+
+function layOut(doc, runs, text, x, y, options) {
+  const {
+    width = doc.page.width - x - doc.page.margins.right,
+    align,
+    lineGap = 0,
+    lineBreak = true,
+    ellipsis,
+    underline,
+  } = options;
+
+  // The run each UTF-16 code unit belongs to
+  const runAt = [];
+  runs.forEach((run, i) => {
+    for (let k = 0; k < run.text.length; k++) runAt.push(i);
+  });
+  const levels = bidi.getEmbeddingLevels(text);
+
+  // Split [start, end) into same-run slices
+  const slices = (start, end) => {
+    const result = [];
+    for (let i = start; i < end; ) {
+      let j = i + 1;
+      while (j < end && runAt[j] === runAt[i]) j++;
+      result.push({ run: runs[runAt[i]], text: text.slice(i, j) });
+      i = j;
+    }
+    return result;
+  };
+  const measure = (start, end) =>
+    slices(start, end).reduce((sum, slice) => sum + doc.font(slice.run.font).widthOfString(slice.text), 0);
+
+  const lines = [];
+  for (const paragraph of levels.paragraphs) {
+    const end = text[paragraph.end] === "\n" ? paragraph.end : paragraph.end + 1;
+    lines.push(...breakParagraph(text, paragraph.start, end, lineBreak ? width : Infinity, measure).map((line) => ({
+      ...line,
+      rtl: paragraph.level % 2 === 1,
+    })));
+    if (!lineBreak) break;
+  }
+
+  let top = y;
+  for (const line of lines) {
+    let truncated = false;
+    if (!lineBreak && ellipsis && line.width > width) {
+      const ellipsisWidth = doc.font(runs[runAt[line.end - 1]].font).widthOfString(ELLIPSIS);
+      while (line.end > line.start && measure(line.start, line.end) + ellipsisWidth > width) line.end--;
+      truncated = true;
+    }
+
+    const pieces = orderLine(text, levels, line.start, line.end, runAt).map((piece) => {
+      const run = runs[piece.run];
+      return { run, text: piece.text, width: doc.font(run.font).widthOfString(piece.text, { features: FEATURES }) };
+    });
+    if (truncated) {
+      const run = runs[runAt[Math.max(line.end - 1, 0)]];
+      const mark = { run, text: ELLIPSIS, width: doc.font(run.font).widthOfString(ELLIPSIS) };
+      if (line.rtl) pieces.unshift(mark);
+      else pieces.push(mark);
+    }
+
+    // Line height and baseline come from the tallest font on the line
+    const metrics = (pieces.length > 0 ? pieces : [{ run: runs[runAt[line.start] ?? 0] }]).map(({ run }) => {
+      const { ascent, descent, lineGap: gap } = run.metrics;
+      const height = doc.font(run.font).currentLineHeight(true);
+      return { ascent: (height * ascent) / (ascent - descent + gap), height };
+    });
+    const ascent = Math.max(...metrics.map((m) => m.ascent));
+    const height = Math.max(...metrics.map((m) => m.height));
+
+    if (lineBreak && top + height > doc.page.maxY() && top > doc.page.margins.top) {
+      doc.addPage();
+      top = doc.page.margins.top;
+    }
+
+    const lineWidth = pieces.reduce((sum, piece) => sum + piece.width, 0);
+    const lineAlign = align === undefined || align === "justify" ? (line.rtl ? "right" : "left") : align;
+    let px = x;
+    if (lineAlign === "right") px = x + width - lineWidth;
+    if (lineAlign === "center") px = x + (width - lineWidth) / 2;
+
+    pieces.forEach((piece, i) => {
+      doc.font(piece.run.font);
+      if (piece.run.color) doc.fillColor(piece.run.color);
+      // Naming features makes PDFKit lay the piece out as one run; by
+      // default it goes word by word, which scrambles right-to-left text
+      doc.text(piece.text, px, top + ascent - metrics[i].ascent, { lineBreak: false, features: FEATURES });
+      // PDFKit can only underline text it wrapped itself
+      if (piece.run.underline ?? underline) {
+        doc.save().lineWidth(0.5);
+        if (piece.run.color) doc.strokeColor(piece.run.color);
+        doc.moveTo(px, top + ascent + 1).lineTo(px + piece.width, top + ascent + 1).stroke().restore();
+      }
+      px += piece.width;
+    });
+    top += height + lineGap;
+  }
+
+  // Like PDFKit, single-line text leaves the position where it was
+  doc.x = x;
+  doc.y = lineBreak ? top : y;
+}
+
+/**
+ * Break the paragraph [start, end) into lines no wider than `width`,
+ * breaking after spaces, or between characters for longer words. Trailing
+ * spaces are left off each line.
+ */
+function breakParagraph(text, start, end, width, measure) {
+  const tokens = [];
+  for (const match of text.slice(start, end).matchAll(TOKEN)) {
+    if (!match[0]) continue;
+    const tokenStart = start + match.index;
+    const tokenEnd = tokenStart + match[0].length;
+    const wordEnd = tokenStart + match[0].trimEnd().length;
+    if (measure(tokenStart, wordEnd) <= width) {
+      tokens.push({ start: tokenStart, end: tokenEnd, wordEnd });
+      continue;
+    }
+    // Wider than a line: split between characters
+    let pieceStart = tokenStart;
+    for (let i = tokenStart; i < wordEnd; ) {
+      const next = i + String.fromCodePoint(text.codePointAt(i)).length;
+      if (i > pieceStart && measure(pieceStart, next) > width) {
+        tokens.push({ start: pieceStart, end: i, wordEnd: i });
+        pieceStart = i;
+      }
+      i = next;
+    }
+    tokens.push({ start: pieceStart, end: tokenEnd, wordEnd });
+  }
+
+  const lines = [];
+  let line = null;
+  for (const token of tokens) {
+    if (line && measure(line.start, token.wordEnd) > width) {
+      lines.push(line);
+      line = null;
+    }
+    if (!line) line = { start: token.start };
+    line.end = token.wordEnd;
+  }
+  if (line) lines.push(line);
+  if (lines.length === 0) lines.push({ start, end: start });
+  return lines.map((l) => ({ ...l, width: measure(l.start, l.end) }));
+}
+
+/**
+ * The pieces of the line [start, end) in display order, left to right.
+ * Each is a same-run, same-level slice of text, in the order fontkit
+ * needs it: fontkit reverses Arabic and Hebrew itself (but doesn't mirror
+ * brackets), so only other text at a right-to-left level, and Arabic
+ * digits at a left-to-right one, are reversed here.
+ */
+function orderLine(text, levels, start, end, runAt) {
+  if (end <= start) return [];
+  const order = [];
+  for (let i = start; i < end; i++) order.push(i);
+  for (const [from, to] of bidi.getReorderSegments(text, levels, start, end - 1)) {
+    const reversed = order.slice(from - start, to - start + 1).reverse();
+    order.splice(from - start, reversed.length, ...reversed);
+  }
+
+  const pieces = [];
+  let current = null;
+  for (const i of order) {
+    const level = levels.levels[i];
+    const step = level % 2 === 1 ? -1 : 1;
+    if (current && current.run === runAt[i] && current.level === level && i === current.last + step) {
+      current.last = i;
+      current.low = Math.min(current.low, i);
+      current.high = Math.max(current.high, i);
+    } else {
+      current = { run: runAt[i], level, last: i, low: i, high: i };
+      pieces.push(current);
+    }
+  }
+
+  return pieces.map((piece) => {
+    const slice = text.slice(piece.low, piece.high + 1);
+    const rtl = piece.level % 2 === 1;
+    const mirrored = rtl ? mirror(slice) : slice;
+    return { run: piece.run, text: rtl === laidOutRtl(slice) ? mirrored : reverse(mirrored) };
+  });
+}
+
+module.exports = { writeText, orderLine };
@@ -0,0 +1,120 @@
+const config = require("../config");
+
+// GHL allows a burst of requests per location per interval and reports the
+// budget in response headers. Each location gets a queue that keeps a few
+// requests in flight and holds the rest back when the budget runs low.
+
+const DEFAULT_INTERVAL_MS = 10 * 1000;
+// Requests kept in reserve so parallel callers don't overshoot the budget
+const RESERVE = 2;
+
+// locationId -> { active, queue, remaining, resetAt, pausedUntil, timer }
+const buckets = new Map();
+
+function getBucket(key) {
+  let bucket = buckets.get(key);
+  if (!bucket) {
+    bucket = { active: 0, queue: [], remaining: null, resetAt: 0, pausedUntil: 0, timer: null };
+    buckets.set(key, bucket);
+  }
+  return bucket;
+}
+
+/**
+ * Milliseconds until the bucket may send another request (0 = now).
+ */
+function waitTime(bucket) {
+  const now = Date.now();
+  if (bucket.pausedUntil > now) return bucket.pausedUntil - now;
+  if (bucket.resetAt <= now) {
+    bucket.remaining = null;
+    return 0;
+  }
+  if (bucket.remaining !== null && bucket.remaining <= RESERVE) return bucket.resetAt - now;
+  return 0;
+}
+
+// Run `drain` again in `wait` ms, replacing any earlier wake-up
+function wakeAfter(key, bucket, wait) {
+  clearTimeout(bucket.timer);
+  bucket.timer = setTimeout(() => {
+    bucket.timer = null;
+    drain(key, bucket);
+  }, wait);
+}
+
+function drain(key, bucket) {
+  if (bucket.queue.length === 0 && bucket.active === 0) {
+    // Idle: forget the location once its budget window and any pause are
+    // over, so the map doesn't keep every location ever seen
+    const wait = Math.max(bucket.resetAt, bucket.pausedUntil) - Date.now();
+    if (wait > 0) wakeAfter(key, bucket, wait);
+    else {
+      clearTimeout(bucket.timer);
+      if (buckets.get(key) === bucket) buckets.delete(key);
+    }
+    return;
+  }
+
+  while (bucket.queue.length > 0 && bucket.active < config.ghl.maxConcurrentRequests) {
+    const wait = waitTime(bucket);
+    if (wait > 0) {
+      wakeAfter(key, bucket, wait);
+      return;
+    }
+
+    const { task, resolve, reject } = bucket.queue.shift();
+    bucket.active++;
+    if (bucket.remaining !== null) bucket.remaining--;
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        bucket.active--;
+        drain(key, bucket);
+      });
+  }
+}
+
+/**
+ * Run `task` (a function returning a promise) when the location's rate
+ * budget allows. Resolves or rejects with the task's result.
+ */
+function schedule(key, task) {
+  return new Promise((resolve, reject) => {
+    const bucket = getBucket(key);
+    bucket.queue.push({ task, resolve, reject });
+    drain(key, bucket);
+  });
+}
+
+/**
+ * Record the budget reported by a GHL response's rate-limit headers.
+ */
+function update(key, headers = {}) {
+  const remaining = parseInt(headers["x-ratelimit-remaining"], 10);
+  if (Number.isNaN(remaining)) return;
+  const interval = parseInt(headers["x-ratelimit-interval-milliseconds"], 10) || DEFAULT_INTERVAL_MS;
+
+  const bucket = getBucket(key);
+  // Requests already in flight will spend budget the header doesn't know about
+  bucket.remaining = Math.max(0, remaining - bucket.active + 1);
+  bucket.resetAt = Date.now() + interval;
+
+  const daily = parseInt(headers["x-ratelimit-daily-remaining"], 10);
+  if (daily === 0) console.warn(`GHL daily request limit reached for location ${key}`);
+}
+
+/**
+ * Hold every queued request for a location (e.g. after a 429).
+ */
+function pause(key, ms) {
+  const bucket = getBucket(key);
+  bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + ms);
+}
+
+module.exports = {
+  schedule,
+  update,
+  pause,
+};
@@ -0,0 +1,75 @@
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+const conversations = require("./conversations");
+const { saveStream } = require("./attachments");
+const { getCallDuration } = require("./format");
+
+const EXTENSIONS = {
+  "audio/wav": "wav",
+  "audio/x-wav": "wav",
+  "audio/wave": "wav",
+  "audio/mpeg": "mp3",
+  "audio/mp3": "mp3",
+  "audio/mp4": "m4a",
+  "audio/ogg": "ogg",
+  "audio/webm": "webm",
+};
+
+/**
+ * Bundle file name for a call: UTC date and time plus direction, e.g.
+ * `2024-01-05_1200_inbound_<messageId>.wav`.
+ */
+function recordingName(msg, contentType) {
+  const iso = new Date(msg.dateAdded).toISOString();
+  const stamp = `${iso.slice(0, 10)}_${iso.slice(11, 13)}${iso.slice(14, 16)}`;
+  const ext = EXTENSIONS[contentType] || "audio";
+  return `${stamp}_${msg.direction}_${String(msg.id).replace(/[^a-zA-Z0-9_-]/g, "_")}.${ext}`;
+}
+
+/**
+ * Download the recording of every completed call in `messages` into
+ * `<rootDir>/<prefix>/`. Calls without a recording are skipped; a failed
+ * download is recorded with its error instead of failing the export.
+ *
+ * Returns one entry per recording:
+ *   { messageId, dateAdded, direction, durationSeconds, path, sha256,
+ *     sizeBytes, contentType, localPath, error }
+ * where `path` is relative to `rootDir` (the path inside the bundle).
+ */
+async function downloadRecordings(locationId, messages, rootDir, { prefix = "recordings", onProgress } = {}) {
+  const calls = messages.filter(conversations.isCompletedCall);
+  if (calls.length === 0) return [];
+
+  fs.mkdirSync(path.join(rootDir, prefix), { recursive: true });
+
+  const entries = [];
+  for (let i = 0; i < calls.length; i++) {
+    const msg = calls[i];
+    const entry = {
+      messageId: msg.id,
+      dateAdded: msg.dateAdded,
+      direction: msg.direction,
+      durationSeconds: getCallDuration(msg),
+    };
+
+    try {
+      const recording = await conversations.fetchRecording(locationId, msg.id);
+      if (recording) {
+        const bundlePath = `${prefix}/${recordingName(msg, recording.contentType)}`;
+        const localPath = path.join(rootDir, bundlePath);
+        const info = await saveStream(recording.stream, localPath, config.exports.recordingMaxBytes);
+        entries.push({ ...entry, path: bundlePath, ...info, contentType: recording.contentType, localPath, error: null });
+      }
+    } catch (err) {
+      console.error(`Recording download failed (message ${msg.id}):`, err.message);
+      entries.push({ ...entry, path: null, localPath: null, error: err.message });
+    }
+
+    if (onProgress) onProgress({ phase: "recordings", completed: i + 1, total: calls.length });
+  }
+
+  return entries;
+}
+
+module.exports = { downloadRecordings };
@@ -0,0 +1,341 @@
+const { convert } = require("html-to-text");
+
+// PII redaction applied to messages between fetching and rendering.
+
+const MARKER = "[REDACTED]";
+const MAX_CUSTOM_PATTERNS = 25;
+const MAX_PATTERN_LENGTH = 200;
+const MAX_TERMS = 200;
+
+// Message fields that carry free text
+const TEXT_FIELDS = ["body", "text", "message", "html", "subject", "transcription"];
+// Email address headers (strings or lists)
+const ADDRESS_FIELDS = ["from", "to", "cc", "bcc", "replyTo"];
+// Contact details shown on cover pages and in manifests
+const CONTACT_FIELDS = ["email", "phone"];
+const HTML = /<[a-z][\s\S]*>/i;
+
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let d = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      d *= 2;
+      if (d > 9) d -= 9;
+    }
+    sum += d;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Built-in detectors. Each has a global regex; `accept` can reject a match
+ * (e.g. failed Luhn check) and `keepPrefix` leaves capture group 1 in place
+ * so context words like "DOB:" stay readable.
+ */
+const DETECTORS = {
+  ssn: {
+    label: "Social Security number",
+    // Separated groups anywhere, or nine bare digits right after "SSN"
+    pattern: /\b((?:SSN|social security(?: number| no\.?)?)\W{0,3})\d{9}\b|\b(?!000|666|9\d\d)\d{3}([- ])(?!00)\d{2}\2(?!0000)\d{4}\b/gi,
+    keepPrefix: true,
+  },
+  card: {
+    label: "Payment card number",
+    pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+    accept: (match) => luhnValid(match.replace(/\D/g, "")),
+  },
+  bank: {
+    label: "Bank account / routing number",
+    pattern: /\b((?:bank\s+)?(?:account|acct|routing|aba)(?:\s*(?:number|no\.?|num|#))?\s*[:#]?\s*)(\d[\d -]{4,20}\d)\b|\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\b/gi,
+    keepPrefix: true,
+  },
+  dob: {
+    label: "Date of birth",
+    pattern: /\b((?:d\.?o\.?b\.?|date\s+of\s+birth|birth\s*date|birthday|born(?:\s+on)?)\s*[:\-]?\s*)((?:\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4})|(?:\d{4}-\d{2}-\d{2})|(?:[A-Z][a-z]{2,8}\.?\s+\d{1,2},?\s+\d{4}))/gi,
+    keepPrefix: true,
+  },
+  phone: {
+    label: "Phone number",
+    pattern: /(?<![\w+])(?:\+?1[\s.-]?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}\b|\+\d{1,3}[\s.-]?\d{2,4}(?:[\s.-]?\d{2,4}){2,4}\b/g,
+  },
+  email: {
+    label: "Email address",
+    pattern: /\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/gi,
+  },
+};
+
+const DEFAULT_DETECTORS = { ssn: true, card: true, bank: true, dob: true, phone: false, email: false };
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Validate a location's redaction settings (custom patterns and terms).
+ * Returns `{ value }` or `{ error }`.
+ */
+function validateSettings(input = {}) {
+  const detectors = { ...DEFAULT_DETECTORS };
+  for (const [key, enabled] of Object.entries(input.detectors || {})) {
+    if (!(key in DETECTORS)) return { error: `Unknown redaction detector: ${key}` };
+    detectors[key] = Boolean(enabled);
+  }
+
+  const patterns = (input.patterns || []).map((p) => String(p).trim()).filter(Boolean);
+  if (patterns.length > MAX_CUSTOM_PATTERNS) {
+    return { error: `At most ${MAX_CUSTOM_PATTERNS} custom redaction patterns are allowed` };
+  }
+  for (const p of patterns) {
+    if (p.length > MAX_PATTERN_LENGTH) {
+      return { error: `Redaction patterns must be ${MAX_PATTERN_LENGTH} characters or fewer` };
+    }
+    try {
+      new RegExp(p, "gi");
+    } catch (err) {
+      return { error: `Invalid redaction pattern ${JSON.stringify(p)}: ${err.message}` };
+    }
+  }
+
+  const terms = (input.terms || []).map((t) => String(t).trim()).filter(Boolean);
+  if (terms.length > MAX_TERMS) {
+    return { error: `At most ${MAX_TERMS} redaction terms are allowed` };
+  }
+
+  return { value: { detectors, patterns, terms } };
+}
+
+/**
+ * Combine a location's saved settings with the options chosen for one
+ * export into the list of rules to apply.
+ */
+function buildRules(locationSettings = {}, exportOptions = {}) {
+  const detectors = {
+    ...DEFAULT_DETECTORS,
+    ...(locationSettings.detectors || {}),
+    ...(exportOptions.detectors || {}),
+  };
+
+  const rules = Object.entries(detectors)
+    .filter(([, enabled]) => enabled)
+    .map(([key]) => ({ type: key, label: DETECTORS[key].label, ...DETECTORS[key] }));
+
+  for (const p of locationSettings.patterns || []) {
+    rules.push({ type: "custom_pattern", label: `Custom pattern ${p}`, pattern: new RegExp(p, "gi") });
+  }
+  const terms = locationSettings.terms || [];
+  if (terms.length > 0) {
+    rules.push({
+      type: "custom_term",
+      label: "Custom term",
+      pattern: new RegExp(terms.map(escapeRegex).join("|"), "gi"),
+    });
+  }
+
+  return rules;
+}
+
+/**
+ * Apply rules to a string. Returns the redacted text and per-type counts.
+ */
+function redactText(text, rules) {
+  const counts = {};
+  let result = text;
+
+  for (const rule of rules) {
+    // Earlier markers are left alone: a custom term can match inside one
+    result = result
+      .split(MARKER)
+      .map((piece) =>
+        piece.replace(rule.pattern, (...args) => {
+          const match = args[0];
+          if (rule.accept && !rule.accept(match)) return match;
+          counts[rule.type] = (counts[rule.type] || 0) + 1;
+          return rule.keepPrefix && args[1] ? args[1] + MARKER : MARKER;
+        })
+      )
+      .join(MARKER);
+  }
+
+  return { text: result, counts };
+}
+
+/**
+ * Redact one field value: a string, or a structure redacted as its JSON.
+ * Returns `{ value, counts }`, or null when nothing matched.
+ */
+function redactValue(value, rules) {
+  const isString = typeof value === "string";
+  const { text, counts } = redactText(isString ? value : JSON.stringify(value), rules);
+  if (Object.keys(counts).length === 0) return null;
+  return { value: isString ? text : safeParse(text), counts };
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+/**
+ * Redact an HTML body. Entities and tags can hide a match from the raw
+ * markup (`555&nbsp;123&nbsp;4567`) that shows once it is converted to
+ * text; such a body is replaced with its redacted text.
+ */
+function redactHtml(html, rules) {
+  const raw = redactValue(html, rules);
+  const redacted = raw ? raw.value : html;
+  const visible = redactText(convert(redacted, { wordwrap: false }), rules);
+  if (Object.keys(visible.counts).length === 0) return raw;
+
+  const counts = { ...(raw?.counts || {}) };
+  for (const [type, count] of Object.entries(visible.counts)) counts[type] = (counts[type] || 0) + count;
+  return { value: `<p>${escapeHtml(visible.text).replace(/\n/g, "<br>")}</p>`, counts };
+}
+
+// Attachment names and URLs; a URL string stays a string
+function redactAttachment(att, rules) {
+  if (typeof att === "string") return redactValue(att, rules);
+  const name = att.name ? redactValue(att.name, rules) : null;
+  const url = att.url ? redactValue(att.url, rules) : null;
+  if (!name && !url) return null;
+
+  const counts = { ...(name?.counts || {}) };
+  for (const [type, count] of Object.entries(url?.counts || {})) counts[type] = (counts[type] || 0) + count;
+  return { value: { ...att, ...(name && { name: name.value }), ...(url && { url: url.value }) }, counts };
+}
+
+/**
+ * Redact every text and address field of every message, and attachment
+ * names and URLs. Returns new message objects (the originals are
+ * untouched) and a log of what was redacted where. The log records types
+ * and counts only, never the redacted values.
+ */
+function redactMessages(messages, rules) {
+  const log = [];
+  if (rules.length === 0) return { messages, log };
+
+  const record = (msg, field, counts) => {
+    for (const [type, count] of Object.entries(counts)) {
+      log.push({ messageId: msg.id, dateAdded: msg.dateAdded, field, type, count });
+    }
+  };
+
+  const redacted = messages.map((msg) => {
+    let copy = msg;
+    for (const field of [...TEXT_FIELDS, ...ADDRESS_FIELDS]) {
+      const value = msg[field];
+      if (!value) continue;
+
+      const isHtml = typeof value === "string" && (field === "html" || (field === "body" && HTML.test(value)));
+      const result = isHtml ? redactHtml(value, rules) : redactValue(value, rules);
+      if (!result) continue;
+
+      if (copy === msg) copy = { ...msg };
+      copy[field] = result.value;
+      record(msg, field, result.counts);
+    }
+
+    if (Array.isArray(msg.attachments)) {
+      let changed = false;
+      const attachments = msg.attachments.map((att) => {
+        const result = att ? redactAttachment(att, rules) : null;
+        if (!result) return att;
+        changed = true;
+        record(msg, "attachments", result.counts);
+        return result.value;
+      });
+      if (changed) {
+        if (copy === msg) copy = { ...msg };
+        copy.attachments = attachments;
+      }
+    }
+    return copy;
+  });
+
+  return { messages: redacted, log };
+}
+
+/**
+ * Redact a contact's email and phone. Returns the contact (a copy if
+ * anything changed) and log entries, which have no message.
+ */
+function redactContact(contact, rules) {
+  const log = [];
+  let copy = contact;
+  for (const field of CONTACT_FIELDS) {
+    const result = contact[field] ? redactValue(contact[field], rules) : null;
+    if (!result) continue;
+
+    if (copy === contact) copy = { ...contact };
+    copy[field] = result.value;
+    for (const [type, count] of Object.entries(result.counts)) {
+      log.push({ messageId: null, dateAdded: null, field: `contact.${field}`, type, count });
+    }
+  }
+  return { contact: copy, log };
+}
+
+/**
+ * The first rule still matching in `texts` (`[{ where, text }]`), as
+ * `{ where, type, label }`, or null. Used to check an export before it is
+ * written; never reports the matched value.
+ */
+function findUnredacted(texts, rules) {
+  for (const { where, text } of texts) {
+    if (!text) continue;
+    // As in redactText, only the text around markers counts
+    for (const piece of String(text).split(MARKER)) {
+      for (const rule of rules) {
+        for (const match of piece.matchAll(rule.pattern)) {
+          if (rule.accept && !rule.accept(match[0])) continue;
+          return { where, type: rule.type, label: rule.label };
+        }
+      }
+    }
+  }
+  return null;
+}
+
+function safeParse(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+const CUSTOM_LABELS = { custom_pattern: "Custom pattern", custom_term: "Custom term" };
+
+/**
+ * Human-readable name for a log entry's type.
+ */
+function typeLabel(type) {
+  return DETECTORS[type]?.label || CUSTOM_LABELS[type] || type;
+}
+
+/**
+ * Summarize a redaction log by type, for cover pages and manifests.
+ */
+function summarize(log) {
+  const totals = {};
+  for (const entry of log) {
+    totals[entry.type] = (totals[entry.type] || 0) + entry.count;
+  }
+  return totals;
+}
+
+module.exports = {
+  MARKER,
+  TEXT_FIELDS,
+  ADDRESS_FIELDS,
+  DETECTORS,
+  DEFAULT_DETECTORS,
+  validateSettings,
+  buildRules,
+  redactText,
+  redactMessages,
+  redactContact,
+  findUnredacted,
+  summarize,
+  typeLabel,
+  escapeRegex,
+};
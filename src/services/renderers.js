@@ -0,0 +1,43 @@
+const pdf = require("./pdf");
+const csv = require("./csv");
+const json = require("./json");
+const html = require("./html");
+const eml = require("./eml");
+
+/**
+ * Export renderers, keyed by format. Each one takes
+ * `(contact, messages, outputPath, options)` and resolves with
+ * `{ outputPath, ...details }` once the file is written (the PDF renderer
+ * adds `pageCount` and `bates`). To add a format, add a module with that
+ * signature and register it here. `paginated` renderers honour the
+ * production options (Bates numbering, legend). `includes(msg)`, when
+ * set, limits an export to the messages the format can hold, so its
+ * custody record only describes what the file contains.
+ */
+const RENDERERS = {
+  pdf: { label: "PDF", extension: "pdf", paginated: true, render: pdf.generatePDF },
+  csv: { label: "CSV", extension: "csv", render: csv.generateCSV },
+  json: { label: "JSON", extension: "json", render: json.generateJSON },
+  html: { label: "HTML", extension: "html", render: html.generateHTML },
+  // Native email formats (email messages only)
+  eml: { label: "EML (ZIP)", extension: "zip", includes: eml.isEmail, render: eml.generateEmlZip },
+  mbox: { label: "MBOX", extension: "mbox", includes: eml.isEmail, render: eml.generateMbox },
+};
+
+const DEFAULT_FORMAT = "pdf";
+
+function isSupportedFormat(format) {
+  return Object.prototype.hasOwnProperty.call(RENDERERS, format);
+}
+
+function getRenderer(format = DEFAULT_FORMAT) {
+  if (!isSupportedFormat(format)) throw new Error(`Unsupported export format: ${format}`);
+  return { format, ...RENDERERS[format] };
+}
+
+module.exports = {
+  DEFAULT_FORMAT,
+  FORMATS: Object.keys(RENDERERS),
+  isSupportedFormat,
+  getRenderer,
+};
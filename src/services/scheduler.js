@@ -0,0 +1,288 @@
+const crypto = require("crypto");
+const path = require("path");
+const config = require("../config");
+const store = require("./store");
+const jobs = require("./jobs");
+const cron = require("./cron");
+const destinations = require("./destinations");
+const timezone = require("./timezone");
+const audit = require("./audit");
+
+// Recurring exports defined per location. Each run is an ordinary bulk
+// export job; when the job settles its ZIP and manifest are copied to the
+// schedule's destination and the outcome is added to the run history.
+
+const TICK_MS = 60 * 1000;
+const MAX_NAME_LENGTH = 100;
+const MAX_WINDOW_DAYS = 3660;
+const WINDOW_TYPES = ["all", "last_days", "previous_month"];
+
+// Starts an export job (index.js's startExport), set by start()
+let launch = null;
+
+function addDays(dateStr, days) {
+  const [year, month, day] = dateStr.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * The date range a run covers, as calendar days in `timeZone`:
+ *   all             - the whole history
+ *   last_days       - the `days` days up to and including yesterday
+ *   previous_month  - the last full calendar month
+ */
+function dateRangeFor(window, now, timeZone) {
+  const today = timezone.localDate(now, timeZone);
+  if (window.type === "last_days") {
+    return { startDate: addDays(today, -window.days), endDate: addDays(today, -1) };
+  }
+  if (window.type === "previous_month") {
+    const firstOfMonth = `${today.slice(0, 8)}01`;
+    const endDate = addDays(firstOfMonth, -1);
+    return { startDate: `${endDate.slice(0, 8)}01`, endDate };
+  }
+  return { startDate: null, endDate: null };
+}
+
+/**
+ * Validate a schedule definition. `exportOptions` are the already-parsed
+ * export options (format, production, redaction, ...). Returns `{ value }`
+ * or `{ error }`.
+ */
+function validateSchedule(input = {}, exportOptions = {}) {
+  const name = String(input.name || "").trim();
+  if (!name || name.length > MAX_NAME_LENGTH) {
+    return { error: `Name is required (${MAX_NAME_LENGTH} characters or fewer)` };
+  }
+
+  const expression = String(input.cron || "").trim();
+  const parsed = cron.parse(expression);
+  if (parsed.error) return { error: parsed.error };
+
+  const contacts = Array.isArray(input.contacts) ? input.contacts : [];
+  const tag = input.tag ? String(input.tag).trim() : null;
+  if (contacts.length === 0 && !tag) return { error: "Choose contacts or a tag to export" };
+  if (contacts.length > config.exports.bulkMaxContacts) {
+    return { error: `Scheduled exports are limited to ${config.exports.bulkMaxContacts} contacts` };
+  }
+
+  const window = { type: input.window?.type || "all" };
+  if (!WINDOW_TYPES.includes(window.type)) {
+    return { error: `Date window must be one of: ${WINDOW_TYPES.join(", ")}` };
+  }
+  if (window.type === "last_days") {
+    window.days = Number(input.window.days);
+    if (!Number.isInteger(window.days) || window.days < 1 || window.days > MAX_WINDOW_DAYS) {
+      return { error: `Date window must be between 1 and ${MAX_WINDOW_DAYS} days` };
+    }
+  }
+
+  const { value: destination, error } = destinations.validateDestination(input.destination);
+  if (error) return { error };
+
+  // Each run computes its own date range from the window
+  const { dateRange, ...options } = exportOptions;
+
+  return {
+    value: {
+      name,
+      cron: expression,
+      enabled: input.enabled !== false,
+      selection: { contacts, tag, query: null },
+      window,
+      destination,
+      options,
+    },
+  };
+}
+
+/**
+ * When a schedule should next run, or null when paused (or never due).
+ */
+function computeNextRun(schedule, after = Date.now()) {
+  if (!schedule.enabled) return null;
+  const next = cron.nextRun(schedule.cron, after, schedule.timezone);
+  return next ? next.toISOString() : null;
+}
+
+async function createSchedule(owner, definition) {
+  const existing = await store.listSchedules(owner.locationId);
+  if (existing.length >= config.schedules.maxPerLocation) {
+    return { error: `A location can have at most ${config.schedules.maxPerLocation} schedules` };
+  }
+
+  const schedule = {
+    id: crypto.randomUUID(),
+    locationId: owner.locationId,
+    ...definition,
+    // Cron times are read in the export's timezone, or the location's
+    timezone: definition.options.timezone || (await timezone.getLocationTimezone(owner.locationId)),
+    createdBy: {
+      userId: owner.userId,
+      email: owner.email || null,
+      userName: owner.userName || null,
+      role: owner.role || null,
+    },
+    createdAt: new Date().toISOString(),
+  };
+  schedule.nextRunAt = computeNextRun(schedule);
+  return { schedule: await store.saveSchedule(schedule) };
+}
+
+async function updateSchedule(schedule, definition) {
+  const updated = {
+    ...schedule,
+    ...definition,
+    timezone: definition.options.timezone || (await timezone.getLocationTimezone(schedule.locationId)),
+  };
+  updated.nextRunAt = computeNextRun(updated);
+  return { schedule: await store.saveSchedule(updated) };
+}
+
+async function deleteSchedule(schedule) {
+  await store.deleteSchedule(schedule.id);
+  await store.deleteScheduleRuns(schedule.id);
+}
+
+/**
+ * A location's schedules, each with its most recent run.
+ */
+async function listSchedules(locationId) {
+  const schedules = await store.listSchedules(locationId);
+  return Promise.all(
+    schedules.map(async (schedule) => {
+      const [lastRun] = await store.listScheduleRuns(schedule.id, { limit: 1 });
+      return { ...schedule, lastRun: lastRun || null };
+    })
+  );
+}
+
+/**
+ * Start one run of a schedule: record it and launch a bulk export job
+ * owned by the schedule's creator.
+ */
+async function runSchedule(schedule, trigger) {
+  const now = new Date();
+  const run = {
+    id: crypto.randomUUID(),
+    scheduleId: schedule.id,
+    locationId: schedule.locationId,
+    trigger,
+    dateRange: dateRangeFor(schedule.window, now, schedule.timezone),
+    startedAt: now.toISOString(),
+    finishedAt: null,
+    status: "running",
+    jobId: null,
+    error: null,
+  };
+
+  const job = await jobs.createJob(
+    { ...schedule.createdBy, locationId: schedule.locationId },
+    {
+      type: "bulk",
+      params: {
+        ...schedule.options,
+        selection: schedule.selection,
+        dateRange: run.dateRange,
+        scheduleId: schedule.id,
+        scheduleRunId: run.id,
+      },
+    }
+  );
+  run.jobId = job.id;
+  await store.saveScheduleRun(run);
+  await audit.recordJob(job, "export.started", { trigger, scheduleId: schedule.id });
+
+  console.log(`Scheduled export "${schedule.name}" started (job ${job.id})`);
+  launch(job);
+  return run;
+}
+
+/**
+ * Called once a scheduled job has settled: deliver its files and record
+ * the outcome on the run.
+ */
+async function completeRun(job) {
+  const run = await store.getScheduleRun(job.params.scheduleRunId);
+  const schedule = await store.getSchedule(job.params.scheduleId);
+  if (!run) return;
+
+  const finished = { finishedAt: new Date().toISOString() };
+  if (job.status !== "complete") {
+    Object.assign(run, finished, { status: "failed", error: job.error || "Export failed" });
+  } else if (!schedule) {
+    Object.assign(run, finished, { status: "failed", error: "Schedule was deleted before delivery" });
+  } else {
+    try {
+      const delivery = await destinations.deliver(
+        [
+          { name: job.filename, path: job.filePath },
+          { name: path.basename(job.manifestPath), path: job.manifestPath },
+        ],
+        schedule.destination,
+        { locationId: schedule.locationId }
+      );
+      Object.assign(run, finished, {
+        status: "delivered",
+        filename: job.filename,
+        sha256: job.sha256 || null,
+        totalMessages: job.progress?.totalMessages ?? null,
+        delivery,
+      });
+    } catch (err) {
+      console.error(`Delivery failed for scheduled job ${job.id}:`, err.message);
+      Object.assign(run, finished, { status: "failed", error: `Delivery failed: ${err.message}` });
+    }
+  }
+  await store.saveScheduleRun(run);
+}
+
+/**
+ * Run every schedule that has come due. Claiming a run moves the schedule
+ * to its next time first, so each run starts on only one instance.
+ */
+async function tick() {
+  const now = Date.now();
+  for (const due of await store.listDueSchedules(now)) {
+    let nextRunAt = null;
+    try {
+      nextRunAt = computeNextRun(due, now);
+    } catch (err) {
+      console.error(`Schedule ${due.id} has an invalid cron expression:`, err.message);
+    }
+    const schedule = await store.claimSchedule(due.id, due.nextRunAt, nextRunAt);
+    if (!schedule) continue;
+
+    try {
+      await runSchedule(schedule, "schedule");
+    } catch (err) {
+      console.error(`Scheduled export ${schedule.id} failed to start:`, err.message);
+    }
+  }
+}
+
+/**
+ * Start checking for due schedules. `startExport(job)` runs a job the same
+ * way the export routes do.
+ */
+async function start(startExport) {
+  launch = startExport;
+  const check = () => tick().catch((err) => console.error("Schedule check failed:", err.message));
+
+  await store.ready;
+  setInterval(check, TICK_MS);
+  check();
+}
+
+module.exports = {
+  WINDOW_TYPES,
+  validateSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  listSchedules,
+  runSchedule,
+  completeRun,
+  dateRangeFor,
+  start,
+};
@@ -0,0 +1,92 @@
+const crypto = require("crypto");
+const config = require("../config");
+
+// Sessions are stateless signed tokens so any instance can verify them.
+// Without SESSION_SECRET a per-process secret is used, which means sessions
+// won't survive a restart or work across multiple instances.
+let secret = config.session.secret;
+if (!secret) {
+  secret = crypto.randomBytes(32).toString("hex");
+  console.warn("SESSION_SECRET not set, using a temporary per-process secret");
+}
+
+function base64url(buf) {
+  return Buffer.from(buf).toString("base64url");
+}
+
+function hmac(value) {
+  return crypto.createHmac("sha256", secret).update(value).digest();
+}
+
+/**
+ * Sign an arbitrary payload into a compact `<payload>.<signature>` token.
+ * Payloads carry a `typ` claim ("session", "download") so a token issued
+ * for one purpose is never accepted for another.
+ */
+function sign(payload) {
+  const body = base64url(JSON.stringify(payload));
+  return `${body}.${base64url(hmac(body))}`;
+}
+
+/**
+ * Verify a token produced by `sign` for purpose `typ`. Returns the
+ * payload, or null if the signature doesn't match, the token has expired
+ * or it was issued for something else.
+ */
+function verify(token, typ) {
+  if (typeof token !== "string") return null;
+  const [body, sig] = token.split(".");
+  if (!body || !sig) return null;
+
+  const expected = hmac(body);
+  const actual = Buffer.from(sig, "base64url");
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, "base64url").toString("utf-8"));
+  } catch {
+    return null;
+  }
+  if (!payload.exp || payload.exp < Date.now()) return null;
+  if (payload.typ !== typ) return null;
+  return payload;
+}
+
+/**
+ * Create a session from decrypted GHL SSO data. The location is taken from
+ * the SSO payload only — never from anything the browser sends later.
+ */
+function createSession(ssoData) {
+  const locationId = ssoData.activeLocation || ssoData.locationId || ssoData.location?.id;
+  if (!locationId) throw new Error("No location found in SSO data");
+  if (!ssoData.userId) throw new Error("No user found in SSO data");
+
+  const session = {
+    typ: "session",
+    userId: ssoData.userId,
+    locationId,
+    companyId: ssoData.companyId || null,
+    email: ssoData.email || null,
+    userName: ssoData.userName || null,
+    role: ssoData.role || null,
+    exp: Date.now() + config.session.ttlMs,
+  };
+
+  return { token: sign(session), session };
+}
+
+function verifySession(token) {
+  const session = verify(token, "session");
+  if (!session || !session.userId || !session.locationId) return null;
+  return session;
+}
+
+module.exports = {
+  sign,
+  verify,
+  createSession,
+  verifySession,
+};
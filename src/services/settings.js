@@ -0,0 +1,81 @@
+const store = require("./store");
+const redaction = require("./redaction");
+const filters = require("./filters");
+const webhooks = require("./webhooks");
+const branding = require("./branding");
+
+/**
+ * Per-location settings, stored as one document per location. Each section
+ * has defaults and a validator `(input, current)` returning `{ value }` or
+ * `{ error }`. Admin-only sections are left out for other users.
+ */
+const SECTIONS = {
+  redaction: {
+    defaults: () => ({ detectors: { ...redaction.DEFAULT_DETECTORS }, patterns: [], terms: [] }),
+    validate: redaction.validateSettings,
+  },
+  filters: {
+    defaults: () => ({ ...filters.DEFAULTS, patterns: [] }),
+    validate: filters.validateSettings,
+  },
+  branding: {
+    defaults: () => ({ ...branding.DEFAULTS }),
+    validate: branding.validateSettings,
+  },
+  webhooks: {
+    defaults: () => ({ ...webhooks.DEFAULTS }),
+    validate: webhooks.validateSettings,
+    adminOnly: true,
+  },
+};
+
+/**
+ * Load a location's settings with defaults filled in for missing sections.
+ */
+async function getLocationSettings(locationId) {
+  const saved = (await store.getSettings(locationId)) || {};
+  const settings = {};
+  for (const [name, section] of Object.entries(SECTIONS)) {
+    settings[name] = { ...section.defaults(), ...(saved[name] || {}) };
+  }
+  return settings;
+}
+
+/**
+ * Validate and save the sections present in `patch`; other sections are
+ * left as they were. Returns `{ settings }` or `{ error }`.
+ */
+async function updateLocationSettings(locationId, patch) {
+  const current = (await store.getSettings(locationId)) || {};
+  const next = { ...current };
+
+  for (const [name, input] of Object.entries(patch || {})) {
+    const section = SECTIONS[name];
+    if (!section) return { error: `Unknown settings section: ${name}` };
+    const { value, error } = section.validate(input, current[name]);
+    if (error) return { error };
+    next[name] = value;
+  }
+
+  await store.saveSettings(locationId, next);
+  return { settings: await getLocationSettings(locationId) };
+}
+
+/**
+ * The settings a user may see: everything for admins, otherwise without
+ * admin-only sections.
+ */
+function visibleSettings(settings, role) {
+  if (role === "admin") return settings;
+  const visible = { ...settings };
+  for (const [name, section] of Object.entries(SECTIONS)) {
+    if (section.adminOnly) delete visible[name];
+  }
+  return visible;
+}
+
+module.exports = {
+  getLocationSettings,
+  visibleSettings,
+  updateLocationSettings,
+};
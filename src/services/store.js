@@ -1,13 +1,95 @@
 const fs = require("fs");
 const path = require("path");
 const { Pool } = require("pg");
+const config = require("../config");
+const encryption = require("./encryption");
 
 const DATA_DIR = path.join(__dirname, "../../data");
 
-// --- PostgreSQL for token storage (persists across deploys) ---
+// --- PostgreSQL for tokens, jobs, custody records, settings, schedules, webhook deliveries, the audit log and the message cache (persists across deploys) ---
 
 let pool = null;
 let dbReady = false;
+// Resolves once storage is usable (schema created, or fallen back to files)
+let ready = Promise.resolve();
+
+const SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS tokens (
+    location_id TEXT PRIMARY KEY,
+    data JSONB NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+  )`,
+  `CREATE TABLE IF NOT EXISTS jobs (
+    id TEXT PRIMARY KEY,
+    location_id TEXT NOT NULL,
+    status TEXT NOT NULL,
+    data JSONB NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+  )`,
+  `CREATE INDEX IF NOT EXISTS jobs_status_idx ON jobs (status, updated_at)`,
+  `CREATE TABLE IF NOT EXISTS custody_records (
+    job_id TEXT PRIMARY KEY,
+    location_id TEXT NOT NULL,
+    contact_id TEXT,
+    data JSONB NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+  )`,
+  `CREATE INDEX IF NOT EXISTS custody_records_location_idx ON custody_records (location_id, created_at)`,
+  `CREATE TABLE IF NOT EXISTS location_settings (
+    location_id TEXT PRIMARY KEY,
+    data JSONB NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+  )`,
+  `CREATE TABLE IF NOT EXISTS message_cache (
+    location_id TEXT NOT NULL,
+    contact_id TEXT NOT NULL,
+    data JSONB NOT NULL,
+    synced_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (location_id, contact_id)
+  )`,
+  `CREATE TABLE IF NOT EXISTS schedules (
+    id TEXT PRIMARY KEY,
+    location_id TEXT NOT NULL,
+    next_run_at TIMESTAMPTZ,
+    data JSONB NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+  )`,
+  `CREATE INDEX IF NOT EXISTS schedules_due_idx ON schedules (next_run_at)`,
+  `CREATE TABLE IF NOT EXISTS schedule_runs (
+    id TEXT PRIMARY KEY,
+    schedule_id TEXT NOT NULL,
+    location_id TEXT NOT NULL,
+    data JSONB NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+  )`,
+  `CREATE INDEX IF NOT EXISTS schedule_runs_schedule_idx ON schedule_runs (schedule_id, created_at)`,
+  `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id TEXT PRIMARY KEY,
+    location_id TEXT NOT NULL,
+    next_attempt_at TIMESTAMPTZ,
+    data JSONB NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+  )`,
+  `CREATE INDEX IF NOT EXISTS webhook_deliveries_location_idx ON webhook_deliveries (location_id, created_at)`,
+  `CREATE INDEX IF NOT EXISTS webhook_deliveries_due_idx ON webhook_deliveries (next_attempt_at)`,
+  `CREATE TABLE IF NOT EXISTS audit_log (
+    id TEXT PRIMARY KEY,
+    location_id TEXT NOT NULL,
+    action TEXT NOT NULL,
+    user_id TEXT,
+    contact_id TEXT,
+    data JSONB NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+  )`,
+  `CREATE INDEX IF NOT EXISTS audit_log_location_idx ON audit_log (location_id, created_at)`,
+];
+
+async function initSchema() {
+  for (const statement of SCHEMA) {
+    await pool.query(statement);
+  }
+}
 
 if (process.env.DATABASE_URL) {
   pool = new Pool({
@@ -15,24 +97,17 @@ if (process.env.DATABASE_URL) {
     ssl: { rejectUnauthorized: false },
   });
 
-  pool
-    .query(
-      `CREATE TABLE IF NOT EXISTS tokens (
-        location_id TEXT PRIMARY KEY,
-        data JSONB NOT NULL,
-        updated_at TIMESTAMPTZ DEFAULT NOW()
-      )`
-    )
+  ready = initSchema()
     .then(() => {
       dbReady = true;
-      console.log("Token storage: PostgreSQL ready");
+      console.log("Storage: PostgreSQL ready");
     })
     .catch((err) => {
       console.error("PostgreSQL init failed, falling back to file storage:", err.message);
       pool = null;
     });
 } else {
-  console.log("Token storage: file-based (no DATABASE_URL set)");
+  console.log("Storage: file-based (no DATABASE_URL set)");
 }
 
 // --- File-based fallback (for local dev) ---
@@ -44,7 +119,7 @@ function ensureDataDir() {
 }
 
 function ensureExportsDir() {
-  const exportsDir = path.join(DATA_DIR, "exports");
+  const exportsDir = config.exports.dir || path.join(DATA_DIR, "exports");
   if (!fs.existsSync(exportsDir)) {
     fs.mkdirSync(exportsDir, { recursive: true });
   }
@@ -52,6 +127,20 @@ function ensureExportsDir() {
 }
 
 const TOKENS_FILE = path.join(DATA_DIR, "tokens.json");
+const JOBS_FILE = path.join(DATA_DIR, "jobs.json");
+const CUSTODY_FILE = path.join(DATA_DIR, "custody.json");
+const SETTINGS_FILE = path.join(DATA_DIR, "settings.json");
+const SCHEDULES_FILE = path.join(DATA_DIR, "schedules.json");
+const SCHEDULE_RUNS_FILE = path.join(DATA_DIR, "schedule_runs.json");
+const WEBHOOK_DELIVERIES_FILE = path.join(DATA_DIR, "webhook_deliveries.json");
+// Append-only, one JSON event per line, so recording never rewrites the file
+const AUDIT_FILE = path.join(DATA_DIR, "audit.jsonl");
+// Run history kept per schedule when DATABASE_URL isn't set
+const MAX_FILE_RUNS = 50;
+// Webhook deliveries kept per location when DATABASE_URL isn't set
+const MAX_FILE_DELIVERIES = 200;
+// One file per contact: a location's full cache is too big to rewrite on every sync
+const CACHE_DIR = path.join(DATA_DIR, "cache");
 
 function readJson(filePath) {
   ensureDataDir();
@@ -64,7 +153,19 @@ function writeJson(filePath, data) {
   fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
 }
 
-// --- Token storage ---
+// --- Token storage (encrypted at rest when TOKEN_ENCRYPTION_KEYS is set) ---
+
+function sealTokens(locationId, tokenData) {
+  const { updatedAt, ...tokens } = tokenData;
+  if (!encryption.isEnabled()) return tokenData;
+  return { encrypted: encryption.encrypt(tokens, locationId), updatedAt };
+}
+
+function openTokens(locationId, record) {
+  if (!record) return null;
+  if (!encryption.isEnvelope(record.encrypted)) return record;
+  return { ...encryption.decrypt(record.encrypted, locationId), updatedAt: record.updatedAt };
+}
 
 async function getTokens(locationId) {
   if (pool) {
@@ -72,16 +173,16 @@ async function getTokens(locationId) {
       "SELECT data FROM tokens WHERE location_id = $1",
       [locationId]
     );
-    return rows.length > 0 ? rows[0].data : null;
+    return rows.length > 0 ? openTokens(locationId, rows[0].data) : null;
   }
 
   // File fallback
   const all = readJson(TOKENS_FILE);
-  return all[locationId] || null;
+  return openTokens(locationId, all[locationId]);
 }
 
 async function saveTokens(locationId, tokenData) {
-  const data = { ...tokenData, updatedAt: new Date().toISOString() };
+  const data = sealTokens(locationId, { ...tokenData, updatedAt: new Date().toISOString() });
 
   if (pool) {
     await pool.query(
@@ -103,9 +204,739 @@ async function saveTokens(locationId, tokenData) {
   }
 }
 
+async function deleteTokens(locationId) {
+  if (pool) {
+    await pool.query("DELETE FROM tokens WHERE location_id = $1", [locationId]);
+  }
+
+  try {
+    const all = readJson(TOKENS_FILE);
+    if (!(locationId in all)) return;
+    delete all[locationId];
+    writeJson(TOKENS_FILE, all);
+  } catch (err) {
+    if (!pool) throw err;
+  }
+}
+
+/**
+ * Mark a token record revoked, but only if it still holds `refreshToken`:
+ * another instance may have refreshed it since. Returns whether the record
+ * was marked.
+ */
+async function revokeTokens(locationId, refreshToken, revokedAt) {
+  if (pool) {
+    const { rows } = await pool.query("SELECT data FROM tokens WHERE location_id = $1", [locationId]);
+    const current = rows.length > 0 ? openTokens(locationId, rows[0].data) : null;
+    if (!current || current.refresh_token !== refreshToken) return false;
+
+    const data = sealTokens(locationId, { ...current, revokedAt, updatedAt: new Date().toISOString() });
+    // Skip the row if a token refresh replaced it in the meantime
+    const result = await pool.query(
+      "UPDATE tokens SET data = $2, updated_at = NOW() WHERE location_id = $1 AND data = $3::jsonb",
+      [locationId, JSON.stringify(data), JSON.stringify(rows[0].data)]
+    );
+    if (result.rowCount === 0) return false;
+
+    try {
+      const all = readJson(TOKENS_FILE);
+      all[locationId] = data;
+      writeJson(TOKENS_FILE, all);
+    } catch (err) {
+      // The backup file may not be writable; the database copy is what counts
+    }
+    return true;
+  }
+
+  const all = readJson(TOKENS_FILE);
+  const current = openTokens(locationId, all[locationId]);
+  if (!current || current.refresh_token !== refreshToken) return false;
+  all[locationId] = sealTokens(locationId, { ...current, revokedAt, updatedAt: new Date().toISOString() });
+  writeJson(TOKENS_FILE, all);
+  return true;
+}
+
+/**
+ * The keys of every stored token record (location IDs and "company:<id>").
+ */
+async function listTokenKeys() {
+  if (pool) {
+    const { rows } = await pool.query("SELECT location_id FROM tokens");
+    return rows.map((r) => r.location_id);
+  }
+
+  return Object.keys(readJson(TOKENS_FILE));
+}
+
+// Agency (Company) tokens share the table, keyed apart from location IDs
+function companyTokensKey(companyId) {
+  return `company:${companyId}`;
+}
+
+function getCompanyTokens(companyId) {
+  return getTokens(companyTokensKey(companyId));
+}
+
+function saveCompanyTokens(companyId, tokenData) {
+  return saveTokens(companyTokensKey(companyId), tokenData);
+}
+
+function revokeCompanyTokens(companyId, refreshToken, revokedAt) {
+  return revokeTokens(companyTokensKey(companyId), refreshToken, revokedAt);
+}
+
+function deleteCompanyTokens(companyId) {
+  return deleteTokens(companyTokensKey(companyId));
+}
+
+/**
+ * The stored form a token record should be upgraded to: encrypted if it
+ * is plaintext, re-wrapped if sealed with an old key. Null if current.
+ */
+function upgradeTokenRecord(locationId, record) {
+  if (!encryption.isEnvelope(record.encrypted)) return sealTokens(locationId, record);
+  if (encryption.needsRewrap(record.encrypted)) {
+    return { ...record, encrypted: encryption.rewrap(record.encrypted) };
+  }
+  return null;
+}
+
+/**
+ * Encrypt plaintext token records and re-wrap those sealed with a retired
+ * key, in the database and the backup file. Records already current are
+ * skipped, so this is safe to run on every start. Returns the number of
+ * records changed.
+ */
+async function migrateTokens() {
+  if (!encryption.isEnabled()) return 0;
+  let migrated = 0;
+
+  if (pool) {
+    const { rows } = await pool.query("SELECT location_id, data FROM tokens");
+    for (const { location_id: locationId, data } of rows) {
+      const upgraded = upgradeTokenRecord(locationId, data);
+      if (!upgraded) continue;
+      // Skip the row if a token refresh replaced it in the meantime
+      const result = await pool.query(
+        "UPDATE tokens SET data = $2 WHERE location_id = $1 AND data = $3::jsonb",
+        [locationId, JSON.stringify(upgraded), JSON.stringify(data)]
+      );
+      migrated += result.rowCount;
+    }
+  }
+
+  try {
+    if (fs.existsSync(TOKENS_FILE)) {
+      const all = readJson(TOKENS_FILE);
+      let changed = 0;
+      for (const [locationId, record] of Object.entries(all)) {
+        const upgraded = upgradeTokenRecord(locationId, record);
+        if (!upgraded) continue;
+        all[locationId] = upgraded;
+        changed++;
+      }
+      if (changed > 0) writeJson(TOKENS_FILE, all);
+      migrated += changed;
+    }
+  } catch (err) {
+    // The backup file may not be writable; the database copy is what counts
+    if (!pool) throw err;
+  }
+
+  return migrated;
+}
+
+// --- Export job storage ---
+
+async function getJob(jobId) {
+  if (pool) {
+    const { rows } = await pool.query("SELECT data FROM jobs WHERE id = $1", [jobId]);
+    return rows.length > 0 ? rows[0].data : null;
+  }
+
+  const all = readJson(JOBS_FILE);
+  return all[jobId] || null;
+}
+
+async function saveJob(job) {
+  const data = { ...job, updatedAt: Date.now() };
+
+  if (pool) {
+    await pool.query(
+      `INSERT INTO jobs (id, location_id, status, data, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, to_timestamp($5 / 1000.0), NOW())
+       ON CONFLICT (id) DO UPDATE SET status = $3, data = $4, updated_at = NOW()`,
+      [job.id, job.locationId, job.status, JSON.stringify(data), job.createdAt]
+    );
+    return data;
+  }
+
+  const all = readJson(JOBS_FILE);
+  all[job.id] = data;
+  writeJson(JOBS_FILE, all);
+  return data;
+}
+
+async function deleteJob(jobId) {
+  if (pool) {
+    await pool.query("DELETE FROM jobs WHERE id = $1", [jobId]);
+    return;
+  }
+
+  const all = readJson(JOBS_FILE);
+  delete all[jobId];
+  writeJson(JOBS_FILE, all);
+}
+
+/**
+ * List jobs, optionally filtered by location, status and/or last update time.
+ */
+async function listJobs({ locationId, status, updatedBefore } = {}) {
+  if (pool) {
+    const where = [];
+    const params = [];
+    if (locationId) {
+      params.push(locationId);
+      where.push(`location_id = $${params.length}`);
+    }
+    if (status) {
+      params.push(status);
+      where.push(`status = $${params.length}`);
+    }
+    if (updatedBefore) {
+      params.push(updatedBefore);
+      where.push(`updated_at < to_timestamp($${params.length} / 1000.0)`);
+    }
+    const { rows } = await pool.query(
+      `SELECT data FROM jobs ${where.length ? "WHERE " + where.join(" AND ") : ""} ORDER BY created_at`,
+      params
+    );
+    return rows.map((r) => r.data);
+  }
+
+  return Object.values(readJson(JOBS_FILE)).filter(
+    (job) =>
+      (!locationId || job.locationId === locationId) &&
+      (!status || job.status === status) &&
+      (!updatedBefore || job.updatedAt < updatedBefore)
+  );
+}
+
+/**
+ * Atomically take over a job whose last update is older than `staleBefore`.
+ * Returns the claimed job, or null if another worker touched it first.
+ */
+async function claimJob(jobId, workerId, staleBefore) {
+  if (pool) {
+    const { rows } = await pool.query(
+      `UPDATE jobs
+       SET data = jsonb_set(data, '{workerId}', to_jsonb($2::text)), updated_at = NOW()
+       WHERE id = $1 AND updated_at < to_timestamp($3 / 1000.0)
+       RETURNING data`,
+      [jobId, workerId, staleBefore]
+    );
+    return rows.length > 0 ? rows[0].data : null;
+  }
+
+  const all = readJson(JOBS_FILE);
+  const job = all[jobId];
+  if (!job || job.updatedAt >= staleBefore) return null;
+  job.workerId = workerId;
+  job.updatedAt = Date.now();
+  writeJson(JOBS_FILE, all);
+  return job;
+}
+
+// --- Chain-of-custody records (kept after export files expire) ---
+
+async function saveCustodyRecord(record) {
+  if (pool) {
+    await pool.query(
+      `INSERT INTO custody_records (job_id, location_id, contact_id, data)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (job_id) DO UPDATE SET data = $4`,
+      [record.jobId, record.locationId, record.contact?.id || null, JSON.stringify(record)]
+    );
+    return;
+  }
+
+  const all = readJson(CUSTODY_FILE);
+  all[record.jobId] = record;
+  writeJson(CUSTODY_FILE, all);
+}
+
+async function getCustodyRecord(jobId) {
+  if (pool) {
+    const { rows } = await pool.query("SELECT data FROM custody_records WHERE job_id = $1", [jobId]);
+    return rows.length > 0 ? rows[0].data : null;
+  }
+
+  const all = readJson(CUSTODY_FILE);
+  return all[jobId] || null;
+}
+
+/**
+ * List a location's custody records, newest first, optionally for one contact.
+ */
+async function listCustodyRecords(locationId, { contactId, limit = 100 } = {}) {
+  if (pool) {
+    const params = [locationId, limit];
+    let where = "location_id = $1";
+    if (contactId) {
+      params.push(contactId);
+      where += ` AND contact_id = $${params.length}`;
+    }
+    const { rows } = await pool.query(
+      `SELECT data FROM custody_records WHERE ${where} ORDER BY created_at DESC LIMIT $2`,
+      params
+    );
+    return rows.map((r) => r.data);
+  }
+
+  return Object.values(readJson(CUSTODY_FILE))
+    .filter((r) => r.locationId === locationId && (!contactId || r.contact?.id === contactId))
+    .sort((a, b) => (a.exportedAt < b.exportedAt ? 1 : -1))
+    .slice(0, limit);
+}
+
+// --- Per-location settings ---
+
+async function getSettings(locationId) {
+  if (pool) {
+    const { rows } = await pool.query(
+      "SELECT data FROM location_settings WHERE location_id = $1",
+      [locationId]
+    );
+    return rows.length > 0 ? rows[0].data : null;
+  }
+
+  const all = readJson(SETTINGS_FILE);
+  return all[locationId] || null;
+}
+
+async function saveSettings(locationId, settings) {
+  const data = { ...settings, updatedAt: new Date().toISOString() };
+
+  if (pool) {
+    await pool.query(
+      `INSERT INTO location_settings (location_id, data, updated_at)
+       VALUES ($1, $2, NOW())
+       ON CONFLICT (location_id) DO UPDATE SET data = $2, updated_at = NOW()`,
+      [locationId, JSON.stringify(data)]
+    );
+    return data;
+  }
+
+  const all = readJson(SETTINGS_FILE);
+  all[locationId] = data;
+  writeJson(SETTINGS_FILE, all);
+  return data;
+}
+
+// --- Scheduled exports and their run history ---
+
+async function getSchedule(scheduleId) {
+  if (pool) {
+    const { rows } = await pool.query("SELECT data FROM schedules WHERE id = $1", [scheduleId]);
+    return rows.length > 0 ? rows[0].data : null;
+  }
+
+  const all = readJson(SCHEDULES_FILE);
+  return all[scheduleId] || null;
+}
+
+async function listSchedules(locationId) {
+  if (pool) {
+    const { rows } = await pool.query(
+      "SELECT data FROM schedules WHERE location_id = $1 ORDER BY data->>'createdAt'",
+      [locationId]
+    );
+    return rows.map((r) => r.data);
+  }
+
+  return Object.values(readJson(SCHEDULES_FILE))
+    .filter((s) => s.locationId === locationId)
+    .sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1));
+}
+
+async function saveSchedule(schedule) {
+  const data = { ...schedule, updatedAt: new Date().toISOString() };
+
+  if (pool) {
+    await pool.query(
+      `INSERT INTO schedules (id, location_id, next_run_at, data, updated_at)
+       VALUES ($1, $2, $3, $4, NOW())
+       ON CONFLICT (id) DO UPDATE SET next_run_at = $3, data = $4, updated_at = NOW()`,
+      [schedule.id, schedule.locationId, schedule.nextRunAt, JSON.stringify(data)]
+    );
+    return data;
+  }
+
+  const all = readJson(SCHEDULES_FILE);
+  all[schedule.id] = data;
+  writeJson(SCHEDULES_FILE, all);
+  return data;
+}
+
+async function deleteSchedule(scheduleId) {
+  if (pool) {
+    await pool.query("DELETE FROM schedules WHERE id = $1", [scheduleId]);
+    return;
+  }
+
+  const all = readJson(SCHEDULES_FILE);
+  delete all[scheduleId];
+  writeJson(SCHEDULES_FILE, all);
+}
+
+/**
+ * Enabled schedules whose next run time has passed.
+ */
+async function listDueSchedules(now) {
+  if (pool) {
+    const { rows } = await pool.query(
+      `SELECT data FROM schedules WHERE next_run_at <= to_timestamp($1 / 1000.0) ORDER BY next_run_at`,
+      [now]
+    );
+    return rows.map((r) => r.data);
+  }
+
+  return Object.values(readJson(SCHEDULES_FILE)).filter(
+    (s) => s.nextRunAt && Date.parse(s.nextRunAt) <= now
+  );
+}
+
+/**
+ * Atomically move a due schedule on to its next run time. Returns the
+ * claimed schedule, or null if another instance claimed this run first.
+ */
+async function claimSchedule(scheduleId, dueAt, nextRunAt) {
+  if (pool) {
+    const { rows } = await pool.query(
+      `UPDATE schedules
+       SET next_run_at = $3,
+           data = jsonb_set(data, '{nextRunAt}', COALESCE(to_jsonb($3::text), 'null'::jsonb)),
+           updated_at = NOW()
+       WHERE id = $1 AND data->>'nextRunAt' = $2
+       RETURNING data`,
+      [scheduleId, dueAt, nextRunAt]
+    );
+    return rows.length > 0 ? rows[0].data : null;
+  }
+
+  const all = readJson(SCHEDULES_FILE);
+  const schedule = all[scheduleId];
+  if (!schedule || schedule.nextRunAt !== dueAt) return null;
+  schedule.nextRunAt = nextRunAt;
+  writeJson(SCHEDULES_FILE, all);
+  return schedule;
+}
+
+async function saveScheduleRun(run) {
+  if (pool) {
+    await pool.query(
+      `INSERT INTO schedule_runs (id, schedule_id, location_id, data, created_at)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (id) DO UPDATE SET data = $4`,
+      [run.id, run.scheduleId, run.locationId, JSON.stringify(run), run.startedAt]
+    );
+    return;
+  }
+
+  const all = readJson(SCHEDULE_RUNS_FILE);
+  all[run.id] = run;
+  // Keep only the newest runs of each schedule
+  const older = Object.values(all)
+    .filter((r) => r.scheduleId === run.scheduleId)
+    .sort((a, b) => (a.startedAt < b.startedAt ? 1 : -1))
+    .slice(MAX_FILE_RUNS);
+  for (const r of older) delete all[r.id];
+  writeJson(SCHEDULE_RUNS_FILE, all);
+}
+
+async function getScheduleRun(runId) {
+  if (pool) {
+    const { rows } = await pool.query("SELECT data FROM schedule_runs WHERE id = $1", [runId]);
+    return rows.length > 0 ? rows[0].data : null;
+  }
+
+  const all = readJson(SCHEDULE_RUNS_FILE);
+  return all[runId] || null;
+}
+
+/**
+ * A schedule's runs, newest first.
+ */
+async function listScheduleRuns(scheduleId, { limit = 20 } = {}) {
+  if (pool) {
+    const { rows } = await pool.query(
+      "SELECT data FROM schedule_runs WHERE schedule_id = $1 ORDER BY created_at DESC LIMIT $2",
+      [scheduleId, limit]
+    );
+    return rows.map((r) => r.data);
+  }
+
+  return Object.values(readJson(SCHEDULE_RUNS_FILE))
+    .filter((r) => r.scheduleId === scheduleId)
+    .sort((a, b) => (a.startedAt < b.startedAt ? 1 : -1))
+    .slice(0, limit);
+}
+
+async function deleteScheduleRuns(scheduleId) {
+  if (pool) {
+    await pool.query("DELETE FROM schedule_runs WHERE schedule_id = $1", [scheduleId]);
+    return;
+  }
+
+  const all = readJson(SCHEDULE_RUNS_FILE);
+  for (const [id, run] of Object.entries(all)) {
+    if (run.scheduleId === scheduleId) delete all[id];
+  }
+  writeJson(SCHEDULE_RUNS_FILE, all);
+}
+
+// --- Webhook delivery log ---
+
+async function saveWebhookDelivery(delivery) {
+  if (pool) {
+    await pool.query(
+      `INSERT INTO webhook_deliveries (id, location_id, next_attempt_at, data, created_at)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (id) DO UPDATE SET next_attempt_at = $3, data = $4`,
+      [delivery.id, delivery.locationId, delivery.nextAttemptAt, JSON.stringify(delivery), delivery.createdAt]
+    );
+    return;
+  }
+
+  const all = readJson(WEBHOOK_DELIVERIES_FILE);
+  all[delivery.id] = delivery;
+  // Keep only the newest deliveries of each location
+  const older = Object.values(all)
+    .filter((d) => d.locationId === delivery.locationId)
+    .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))
+    .slice(MAX_FILE_DELIVERIES);
+  for (const d of older) delete all[d.id];
+  writeJson(WEBHOOK_DELIVERIES_FILE, all);
+}
+
+/**
+ * A location's webhook deliveries, newest first.
+ */
+async function listWebhookDeliveries(locationId, { limit = 50 } = {}) {
+  if (pool) {
+    const { rows } = await pool.query(
+      "SELECT data FROM webhook_deliveries WHERE location_id = $1 ORDER BY created_at DESC LIMIT $2",
+      [locationId, limit]
+    );
+    return rows.map((r) => r.data);
+  }
+
+  return Object.values(readJson(WEBHOOK_DELIVERIES_FILE))
+    .filter((d) => d.locationId === locationId)
+    .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))
+    .slice(0, limit);
+}
+
+/**
+ * Deliveries waiting for a retry whose time has come.
+ */
+async function listDueWebhookDeliveries(now) {
+  if (pool) {
+    const { rows } = await pool.query(
+      `SELECT data FROM webhook_deliveries WHERE next_attempt_at <= to_timestamp($1 / 1000.0) ORDER BY next_attempt_at`,
+      [now]
+    );
+    return rows.map((r) => r.data);
+  }
+
+  return Object.values(readJson(WEBHOOK_DELIVERIES_FILE)).filter(
+    (d) => d.nextAttemptAt && Date.parse(d.nextAttemptAt) <= now
+  );
+}
+
+/**
+ * Atomically take a due delivery, pushing its retry time to `leaseUntil` so
+ * no other instance sends it meanwhile. Returns the delivery, or null if
+ * another instance took it first.
+ */
+async function claimWebhookDelivery(deliveryId, dueAt, leaseUntil) {
+  if (pool) {
+    const { rows } = await pool.query(
+      `UPDATE webhook_deliveries
+       SET next_attempt_at = $3,
+           data = jsonb_set(data, '{nextAttemptAt}', to_jsonb($3::text))
+       WHERE id = $1 AND data->>'nextAttemptAt' = $2
+       RETURNING data`,
+      [deliveryId, dueAt, leaseUntil]
+    );
+    return rows.length > 0 ? rows[0].data : null;
+  }
+
+  const all = readJson(WEBHOOK_DELIVERIES_FILE);
+  const delivery = all[deliveryId];
+  if (!delivery || delivery.nextAttemptAt !== dueAt) return null;
+  delivery.nextAttemptAt = leaseUntil;
+  writeJson(WEBHOOK_DELIVERIES_FILE, all);
+  return delivery;
+}
+
+// --- Audit log ---
+
+async function saveAuditEvent(event) {
+  if (pool) {
+    await pool.query(
+      `INSERT INTO audit_log (id, location_id, action, user_id, contact_id, data, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [event.id, event.locationId, event.action, event.userId, event.contactId, JSON.stringify(event), event.at]
+    );
+    return;
+  }
+
+  ensureDataDir();
+  fs.appendFileSync(AUDIT_FILE, JSON.stringify(event) + "\n");
+}
+
+/**
+ * A location's audit events, newest first. `since`/`until` are ISO times.
+ */
+async function listAuditEvents(locationId, { action, userId, contactId, since, until, limit = 100 } = {}) {
+  if (pool) {
+    const params = [locationId, limit];
+    let where = "location_id = $1";
+    const add = (clause, value) => {
+      params.push(value);
+      where += ` AND ${clause} $${params.length}`;
+    };
+    if (action) add("action =", action);
+    if (userId) add("user_id =", userId);
+    if (contactId) add("contact_id =", contactId);
+    if (since) add("created_at >=", since);
+    if (until) add("created_at <", until);
+    const { rows } = await pool.query(
+      `SELECT data FROM audit_log WHERE ${where} ORDER BY created_at DESC LIMIT $2`,
+      params
+    );
+    return rows.map((r) => r.data);
+  }
+
+  if (!fs.existsSync(AUDIT_FILE)) return [];
+  return fs
+    .readFileSync(AUDIT_FILE, "utf-8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line))
+    .filter(
+      (e) =>
+        e.locationId === locationId &&
+        (!action || e.action === action) &&
+        (!userId || e.userId === userId) &&
+        (!contactId || e.contactId === contactId) &&
+        (!since || e.at >= since) &&
+        (!until || e.at < until)
+    )
+    .reverse()
+    .slice(0, limit);
+}
+
+// --- Message cache (raw GHL history per contact, for delta syncs) ---
+
+function cacheFile(locationId, contactId) {
+  return path.join(CACHE_DIR, encodeURIComponent(locationId), `${encodeURIComponent(contactId)}.json`);
+}
+
+async function getMessageCache(locationId, contactId) {
+  if (pool) {
+    const { rows } = await pool.query(
+      "SELECT data FROM message_cache WHERE location_id = $1 AND contact_id = $2",
+      [locationId, contactId]
+    );
+    return rows.length > 0 ? rows[0].data : null;
+  }
+
+  const filePath = cacheFile(locationId, contactId);
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+}
+
+async function saveMessageCache(locationId, contactId, cache) {
+  if (pool) {
+    await pool.query(
+      `INSERT INTO message_cache (location_id, contact_id, data, synced_at)
+       VALUES ($1, $2, $3, NOW())
+       ON CONFLICT (location_id, contact_id) DO UPDATE SET data = $3, synced_at = NOW()`,
+      [locationId, contactId, JSON.stringify(cache)]
+    );
+    return;
+  }
+
+  const filePath = cacheFile(locationId, contactId);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(cache));
+}
+
+/**
+ * Drop cached history for one contact, or for the whole location.
+ */
+async function deleteMessageCache(locationId, contactId) {
+  if (pool) {
+    if (contactId) {
+      await pool.query(
+        "DELETE FROM message_cache WHERE location_id = $1 AND contact_id = $2",
+        [locationId, contactId]
+      );
+    } else {
+      await pool.query("DELETE FROM message_cache WHERE location_id = $1", [locationId]);
+    }
+    return;
+  }
+
+  const target = contactId
+    ? cacheFile(locationId, contactId)
+    : path.join(CACHE_DIR, encodeURIComponent(locationId));
+  fs.rmSync(target, { recursive: true, force: true });
+}
+
 module.exports = {
+  ready,
   getTokens,
   saveTokens,
+  deleteTokens,
+  revokeTokens,
+  listTokenKeys,
+  getCompanyTokens,
+  saveCompanyTokens,
+  revokeCompanyTokens,
+  deleteCompanyTokens,
+  migrateTokens,
+  getJob,
+  saveJob,
+  deleteJob,
+  listJobs,
+  claimJob,
+  saveCustodyRecord,
+  getCustodyRecord,
+  listCustodyRecords,
+  getSettings,
+  saveSettings,
+  getSchedule,
+  listSchedules,
+  saveSchedule,
+  deleteSchedule,
+  listDueSchedules,
+  claimSchedule,
+  saveScheduleRun,
+  getScheduleRun,
+  listScheduleRuns,
+  deleteScheduleRuns,
+  saveWebhookDelivery,
+  listWebhookDeliveries,
+  listDueWebhookDeliveries,
+  claimWebhookDelivery,
+  saveAuditEvent,
+  listAuditEvents,
+  getMessageCache,
+  saveMessageCache,
+  deleteMessageCache,
   ensureExportsDir,
   DATA_DIR,
 };
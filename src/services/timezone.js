@@ -0,0 +1,133 @@
+const config = require("../config");
+const ghl = require("./ghl");
+
+const API = config.ghl.apiDomain;
+const DEFAULT_TIMEZONE = "UTC";
+const CACHE_TTL_MS = 60 * 60 * 1000;
+
+// locationId -> { timezone, fetchedAt }
+const locationCache = new Map();
+
+function isValidTimeZone(tz) {
+  if (!tz || typeof tz !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Whether `value` is a real calendar day written as "YYYY-MM-DD".
+ */
+function isValidDate(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * The location's timezone as configured in GHL, cached for an hour.
+ * Falls back to UTC if the location can't be read or has none set.
+ */
+async function getLocationTimezone(locationId) {
+  const cached = locationCache.get(locationId);
+  if (cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS) return cached.timezone;
+
+  let timezone = DEFAULT_TIMEZONE;
+  try {
+    const { data } = await ghl.apiCall(locationId, "GET", `${API}/locations/${locationId}`);
+    const tz = data.location?.timezone || data.timezone;
+    if (isValidTimeZone(tz)) timezone = tz;
+  } catch (err) {
+    console.error(`Could not load timezone for location ${locationId}:`, err.response?.status || err.message);
+  }
+
+  locationCache.set(locationId, { timezone, fetchedAt: Date.now() });
+  return timezone;
+}
+
+function zoneParts(date, timeZone) {
+  const parts = {};
+  const fmt = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+  for (const { type, value } of fmt.formatToParts(date)) parts[type] = Number(value);
+  return parts;
+}
+
+/**
+ * Offset of `timeZone` from UTC at the given instant, in milliseconds.
+ */
+function zoneOffset(date, timeZone) {
+  const p = zoneParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * The instant a wall-clock time on a calendar day ("YYYY-MM-DD") occurs in
+ * `timeZone`.
+ */
+function zonedTime(dateStr, hour, minute, timeZone) {
+  const [year, month, day] = String(dateStr).slice(0, 10).split("-").map(Number);
+  const wallUtc = Date.UTC(year, month - 1, day, hour, minute);
+  let instant = wallUtc - zoneOffset(new Date(wallUtc), timeZone);
+  // Re-check in case the offset changes (DST) between the guess and the wall time
+  instant = wallUtc - zoneOffset(new Date(instant), timeZone);
+  return new Date(instant);
+}
+
+/**
+ * The instant a calendar day ("YYYY-MM-DD") starts in `timeZone`.
+ */
+function startOfDay(dateStr, timeZone) {
+  return zonedTime(dateStr, 0, 0, timeZone);
+}
+
+/**
+ * The last millisecond of a calendar day ("YYYY-MM-DD") in `timeZone`.
+ */
+function endOfDay(dateStr, timeZone) {
+  const [year, month, day] = String(dateStr).slice(0, 10).split("-").map(Number);
+  const next = new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+  return new Date(startOfDay(next, timeZone).getTime() - 1);
+}
+
+/**
+ * Calendar day ("YYYY-MM-DD") of an instant in `timeZone`.
+ */
+function localDate(date, timeZone) {
+  const p = zoneParts(new Date(date), timeZone);
+  return `${p.year}-${String(p.month).padStart(2, "0")}-${String(p.day).padStart(2, "0")}`;
+}
+
+/**
+ * Short zone name for an instant, e.g. "EST", "EDT" or "GMT+5:30".
+ */
+function timezoneLabel(date, timeZone) {
+  const part = new Intl.DateTimeFormat("en-US", { timeZone, timeZoneName: "short" })
+    .formatToParts(new Date(date))
+    .find((p) => p.type === "timeZoneName");
+  return part ? part.value : timeZone;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  isValidDate,
+  getLocationTimezone,
+  zonedTime,
+  startOfDay,
+  endOfDay,
+  localDate,
+  timezoneLabel,
+};
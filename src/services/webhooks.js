@@ -0,0 +1,261 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const config = require("../config");
+const store = require("./store");
+const session = require("./session");
+const jobs = require("./jobs");
+const egress = require("./egress");
+
+// Outbound notifications of export lifecycle events, configured per
+// location. Every delivery is logged with its attempts; failed deliveries
+// are retried with backoff by whichever instance picks them up first.
+
+const EVENTS = ["export.started", "export.completed", "export.failed"];
+
+const DEFAULTS = {
+  enabled: false,
+  url: "",
+  events: EVENTS,
+  // Generated on first save; receivers use it to verify signatures
+  secret: null,
+};
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// Wait before each retry (the last delay repeats if more attempts are allowed)
+const RETRY_DELAYS_MS = [30 * 1000, 2 * 60 * 1000, 10 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000];
+// How long an attempt in progress keeps other instances off a delivery
+const LEASE_MS = 2 * 60 * 1000;
+const RETRY_CHECK_MS = 30 * 1000;
+const MAX_URL_LENGTH = 2000;
+
+function newSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+/**
+ * Validate a location's webhook settings. `current` is the saved section,
+ * whose secret is kept unless `rotateSecret` is set. Returns `{ value }`
+ * or `{ error }`.
+ */
+function validateSettings(input = {}, current = {}) {
+  const enabled = Boolean(input.enabled);
+  const url = String(input.url || "").trim();
+
+  if (url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return { error: "Webhook URL is not a valid URL" };
+    }
+    // Payloads carry download links, so never send them in the clear
+    if (parsed.protocol !== "https:") return { error: "Webhook URL must use https" };
+    // Host names are checked again when each delivery resolves them
+    try {
+      egress.assertPublicUrl(url);
+    } catch {
+      return { error: "Webhook URL must point to a public address" };
+    }
+    if (url.length > MAX_URL_LENGTH) return { error: `Webhook URL must be ${MAX_URL_LENGTH} characters or fewer` };
+  } else if (enabled) {
+    return { error: "Enter a webhook URL or turn webhooks off" };
+  }
+
+  const events = Array.isArray(input.events) ? EVENTS.filter((e) => input.events.includes(e)) : EVENTS;
+  if (enabled && events.length === 0) return { error: "Choose at least one webhook event" };
+
+  const secret = input.rotateSecret || !current?.secret ? newSecret() : current.secret;
+  return { value: { enabled, url, events, secret } };
+}
+
+async function getWebhookSettings(locationId) {
+  const saved = (await store.getSettings(locationId)) || {};
+  return { ...DEFAULTS, ...(saved.webhooks || {}) };
+}
+
+/**
+ * Signed links to a finished job's file and manifest, valid until the
+ * files are cleaned up.
+ */
+function downloadLinks(job) {
+  const expiresAt = (job.updatedAt || Date.now()) + jobs.JOB_TTL_MS;
+  const link = (file) =>
+    `${config.appUrl}/downloads/${session.sign({ typ: "download", jobId: job.id, file, exp: expiresAt })}`;
+  return {
+    downloadUrl: link("download"),
+    manifestUrl: link("manifest"),
+    expiresAt: new Date(expiresAt).toISOString(),
+  };
+}
+
+function payloadFor(job, event, deliveryId, error) {
+  const contact = job.params.contact || {};
+  const progress = job.progress || {};
+  const payload = {
+    id: deliveryId,
+    event,
+    occurredAt: new Date().toISOString(),
+    locationId: job.locationId,
+    job: {
+      id: job.id,
+      type: job.type || "contact",
+      format: job.params.format || "pdf",
+      createdAt: new Date(job.createdAt).toISOString(),
+      exportedBy: job.exportedBy,
+      scheduleId: job.params.scheduleId || null,
+    },
+    contact: job.contactId
+      ? { id: job.contactId, name: contact.name || null, email: contact.email || null, phone: contact.phone || null }
+      : null,
+    messageCount: progress.totalMessages ?? null,
+  };
+
+  if (job.type === "bulk") {
+    payload.contacts = { total: progress.totalContacts ?? null, failed: progress.failedContacts ?? null };
+  }
+  if (event === "export.completed") {
+    payload.file = { name: job.filename, sha256: job.sha256 || null, ...downloadLinks(job) };
+  }
+  if (event === "export.failed") payload.error = error || job.error || "Export failed";
+  return payload;
+}
+
+/**
+ * Headers for one attempt. The signature is an HMAC-SHA256 of
+ * `<timestamp>.<body>` with the location's secret.
+ */
+function signedHeaders(delivery, body, secret) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return {
+    "Content-Type": "application/json",
+    "User-Agent": "ghl-conversation-export",
+    "X-Export-Event": delivery.event,
+    "X-Export-Delivery": delivery.id,
+    "X-Export-Timestamp": String(timestamp),
+    "X-Export-Signature": `sha256=${signature}`,
+  };
+}
+
+/**
+ * Make one attempt at a delivery and record the outcome, scheduling a
+ * retry if it failed and attempts remain.
+ */
+async function attempt(delivery, secret) {
+  const body = JSON.stringify(delivery.payload);
+  const startedAt = Date.now();
+  let result;
+  try {
+    // Only public addresses, whatever the host name resolves to by now
+    egress.assertPublicUrl(delivery.url);
+    const res = await axios.post(delivery.url, body, {
+      headers: signedHeaders(delivery, body, secret),
+      timeout: REQUEST_TIMEOUT_MS,
+      ...egress.publicRequestOptions(),
+      maxRedirects: 0,
+      validateStatus: () => true,
+    });
+    result = { statusCode: res.status, error: res.status >= 300 ? `HTTP ${res.status}` : null };
+  } catch (err) {
+    result = { statusCode: null, error: err.message };
+  }
+  delivery.attempts.push({ at: new Date(startedAt).toISOString(), durationMs: Date.now() - startedAt, ...result });
+
+  if (!result.error) {
+    Object.assign(delivery, { status: "delivered", deliveredAt: new Date().toISOString(), nextAttemptAt: null });
+  } else if (delivery.attempts.length >= config.webhooks.maxAttempts) {
+    Object.assign(delivery, { status: "failed", nextAttemptAt: null });
+    console.error(`Webhook ${delivery.id} (${delivery.event}) failed after ${delivery.attempts.length} attempts: ${result.error}`);
+  } else {
+    const delay = RETRY_DELAYS_MS[Math.min(delivery.attempts.length, RETRY_DELAYS_MS.length) - 1];
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+  }
+  await store.saveWebhookDelivery(delivery);
+}
+
+/**
+ * Send `event` for a job to its location's webhook, if one is set up for
+ * that event. Never rejects: a webhook problem must not fail the export.
+ */
+async function notify(job, event, { error } = {}) {
+  try {
+    const hook = await getWebhookSettings(job.locationId);
+    if (!hook.enabled || !hook.url || !hook.events.includes(event)) return;
+
+    const id = crypto.randomUUID();
+    const delivery = {
+      id,
+      locationId: job.locationId,
+      jobId: job.id,
+      event,
+      url: hook.url,
+      payload: payloadFor(job, event, id, error),
+      status: "pending",
+      attempts: [],
+      createdAt: new Date().toISOString(),
+      deliveredAt: null,
+      nextAttemptAt: new Date(Date.now() + LEASE_MS).toISOString(),
+    };
+    await store.saveWebhookDelivery(delivery);
+    await attempt(delivery, hook.secret);
+  } catch (err) {
+    console.error(`Webhook ${event} for job ${job.id} failed:`, err.message);
+  }
+}
+
+// Stop retrying a delivery, recording why as its last attempt
+async function giveUp(delivery, reason) {
+  Object.assign(delivery, { status: "failed", nextAttemptAt: null });
+  delivery.attempts.push({ at: new Date().toISOString(), durationMs: 0, statusCode: null, error: reason });
+  await store.saveWebhookDelivery(delivery);
+}
+
+/**
+ * Retry every delivery whose backoff has elapsed.
+ */
+async function retryDue() {
+  const now = Date.now();
+  for (const due of await store.listDueWebhookDeliveries(now)) {
+    const leaseUntil = new Date(now + LEASE_MS).toISOString();
+    const delivery = await store.claimWebhookDelivery(due.id, due.nextAttemptAt, leaseUntil);
+    if (!delivery) continue;
+
+    const hook = await getWebhookSettings(delivery.locationId);
+    if (!hook.enabled || !hook.secret) {
+      await giveUp(delivery, "Webhooks were turned off");
+      continue;
+    }
+
+    // Download links are signed again for each retry; once the files are
+    // gone there is nothing left to deliver
+    if (delivery.payload.file) {
+      const job = await jobs.getJob(delivery.jobId);
+      const links = job?.status === "complete" ? downloadLinks(job) : null;
+      if (!links || Date.parse(links.expiresAt) <= Date.now()) {
+        await giveUp(delivery, "The export's files have expired");
+        continue;
+      }
+      Object.assign(delivery.payload.file, links);
+    }
+    await attempt(delivery, hook.secret);
+  }
+}
+
+/**
+ * Start retrying failed deliveries in the background.
+ */
+async function start() {
+  const check = () => retryDue().catch((err) => console.error("Webhook retry check failed:", err.message));
+
+  await store.ready;
+  setInterval(check, RETRY_CHECK_MS);
+  check();
+}
+
+module.exports = {
+  EVENTS,
+  DEFAULTS,
+  validateSettings,
+  notify,
+  start,
+};
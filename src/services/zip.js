@@ -0,0 +1,32 @@
+const fs = require("fs");
+const archiver = require("archiver");
+
+/**
+ * Write a ZIP archive to `outputPath`. Each entry is either
+ * `{ name, path }` (file on disk) or `{ name, content }` (string/Buffer).
+ */
+function createZip(outputPath, entries) {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(outputPath);
+    const archive = archiver("zip", { zlib: { level: 9 } });
+
+    output.on("close", () => resolve(outputPath));
+    output.on("error", reject);
+    archive.on("error", reject);
+    archive.on("warning", (err) => {
+      if (err.code !== "ENOENT") reject(err);
+    });
+
+    archive.pipe(output);
+    for (const entry of entries) {
+      if (entry.path) {
+        archive.file(entry.path, { name: entry.name });
+      } else {
+        archive.append(entry.content, { name: entry.name });
+      }
+    }
+    archive.finalize();
+  });
+}
+
+module.exports = { createZip };
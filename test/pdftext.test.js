@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const bidi = require("bidi-js")();
+const fonts = require("../src/services/fonts");
+const { orderLine } = require("../src/services/pdftext");
+
+// Font file names only, so the tests don't depend on where packages live
+function runsOf(text) {
+  return fonts.splitRuns(text).map((run) => [run.text, path.basename(run.font)]);
+}
+
+// Display-order pieces of `text` as one line, as writeText lays it out
+function ordered(text) {
+  const runs = fonts.splitRuns(text);
+  const runAt = [];
+  runs.forEach((run, i) => {
+    for (let k = 0; k < run.text.length; k++) runAt.push(i);
+  });
+  const joined = runs.map((run) => run.text).join("");
+  return orderLine(joined, bidi.getEmbeddingLevels(joined), 0, joined.length, runAt).map((piece) => piece.text);
+}
+
+test("the Noto fonts are installed", () => {
+  assert.ok(fonts.available);
+});
+
+test("splitRuns picks a font per script", () => {
+  assert.deepStrictEqual(runsOf("Hello مرحبا שלום 你好 😀"), [
+    ["Hello ", "NotoSans_400Regular.ttf"],
+    ["مرحبا ", "NotoSansArabic_400Regular.ttf"],
+    ["שלום ", "NotoSansHebrew_400Regular.ttf"],
+    ["你好 ", "NotoSansSC_400Regular.ttf"],
+    ["😀", "NotoEmoji_400Regular.ttf"],
+  ]);
+});
+
+test("splitRuns keeps punctuation in the current run", () => {
+  assert.deepStrictEqual(runsOf("שלום [עולם]"), [["שלום [עולם]", "NotoSansHebrew_400Regular.ttf"]]);
+});
+
+test("orderLine leaves left-to-right text alone", () => {
+  assert.deepStrictEqual(ordered("Order #123 שלום"), ["Order #123 ", "שלום"]);
+});
+
+test("orderLine puts Latin words inside Arabic in right-to-left order", () => {
+  // Arabic pieces stay in logical order: fontkit reverses them itself
+  assert.deepStrictEqual(ordered("مرحبا John كيف"), ["كيف", " ", "John", "مرحبا "]);
+});
+
+test("orderLine mirrors brackets in right-to-left text", () => {
+  assert.deepStrictEqual(ordered("שלום [עולם]"), ["שלום ]עולם["]);
+  assert.deepStrictEqual(ordered("שלום (abc) עולם"), ["עולם", " (", "abc", "שלום )"]);
+});
+
+test("orderLine reverses Arabic digits, which fontkit would lay out right to left", () => {
+  assert.deepStrictEqual(ordered("العدد ١٢٣"), ["٣٢١", "العدد "]);
+});
@@ -0,0 +1,30 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const redaction = require("../src/services/redaction");
+
+const rules = redaction.buildRules();
+
+test("redacts separated SSNs", () => {
+  const { text, counts } = redaction.redactText("My SSN is 123-45-6789, or 123 45 6789", rules);
+  assert.strictEqual(text, "My SSN is [REDACTED], or [REDACTED]");
+  assert.deepStrictEqual(counts, { ssn: 2 });
+});
+
+test("redacts unseparated SSNs after the keyword", () => {
+  assert.strictEqual(redaction.redactText("SSN 123456789", rules).text, "SSN [REDACTED]");
+  assert.strictEqual(redaction.redactText("ssn: 123456789", rules).text, "ssn: [REDACTED]");
+  assert.strictEqual(
+    redaction.redactText("Social Security No. 123456789", rules).text,
+    "Social Security No. [REDACTED]"
+  );
+});
+
+test("leaves bare nine-digit numbers alone", () => {
+  assert.strictEqual(redaction.redactText("Order 123456789 shipped", rules).text, "Order 123456789 shipped");
+});
+
+test("reports an unredacted SSN left in the output", () => {
+  const found = redaction.findUnredacted([{ where: "message m1", text: "SSN 123456789" }], rules);
+  assert.deepStrictEqual(found, { where: "message m1", type: "ssn", label: "Social Security number" });
+  assert.strictEqual(redaction.findUnredacted([{ where: "message m1", text: "SSN [REDACTED]" }], rules), null);
+});